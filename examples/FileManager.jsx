@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
 import { 
   DAMProvider, 
+  DAMDropzone,
   useFiles, 
-  useFileUpload, 
   useFileOperations,
+  useBulkOperations,
+  useDownload,
   useFolders,
   useFileUrl,
   useDashboardStats
@@ -19,22 +21,15 @@ function FileManager() {
     folderId: selectedFolder 
   });
   
-  const { upload, uploading, progress } = useFileUpload();
   const { deleteFile, moveFile } = useFileOperations();
+  const bulk = useBulkOperations({ undoDelay: 5000 });
+  const downloads = useDownload();
   const { folders } = useFolders();
 
-  const handleFileUpload = async (e) => {
-    const files = Array.from(e.target.files);
-    for (const file of files) {
-      await upload(file, { folderId: selectedFolder });
-    }
-    refetch();
-  };
-
+  // The file leaves the grid at once and comes back if the delete fails
   const handleDelete = async (fileId) => {
     if (confirm('Delete this file?')) {
       await deleteFile(fileId);
-      refetch();
     }
   };
 
@@ -43,6 +38,22 @@ function FileManager() {
     refetch();
   };
 
+  // Selected files disappear at once; nothing is deleted until the undo window ends
+  const handleDeleteSelected = async () => {
+    if (!confirm(`Delete ${selectedFiles.length} files?`)) return;
+
+    const ids = selectedFiles;
+    setSelectedFiles([]);
+    const { failed } = await bulk.deleteFiles(ids);
+    // Keep the files that couldn't be deleted selected so they can be retried
+    setSelectedFiles(failed);
+  };
+
+  const handleMoveSelected = async (targetFolderId) => {
+    const { failed } = await bulk.moveFiles(selectedFiles, targetFolderId);
+    setSelectedFiles(failed);
+  };
+
   const toggleFileSelection = (fileId) => {
     setSelectedFiles(prev => 
       prev.includes(fileId) 
@@ -73,27 +84,10 @@ function FileManager() {
       {/* Upload Section */}
       <div className="bg-white rounded-lg shadow p-6">
         <h3 className="text-lg font-semibold mb-4">Upload Files</h3>
-        <input
-          type="file"
-          multiple
-          onChange={handleFileUpload}
-          disabled={uploading}
-          className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+        <DAMDropzone
+          folderId={selectedFolder}
+          label="Drop files or folders here, paste, or click to browse"
         />
-        {uploading && (
-          <div className="mt-4">
-            <div className="flex justify-between text-sm mb-1">
-              <span>Uploading...</span>
-              <span>{progress}%</span>
-            </div>
-            <div className="w-full bg-gray-200 rounded-full h-2">
-              <div 
-                className="bg-blue-600 h-2 rounded-full transition-all"
-                style={{ width: `${progress}%` }}
-              />
-            </div>
-          </div>
-        )}
       </div>
 
       {/* Folder Selector */}
@@ -120,18 +114,62 @@ function FileManager() {
             Files ({files.length})
           </h3>
           {selectedFiles.length > 0 && (
-            <button
-              onClick={() => {
-                selectedFiles.forEach(id => handleDelete(id));
-                setSelectedFiles([]);
-              }}
-              className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700"
-            >
-              Delete Selected ({selectedFiles.length})
-            </button>
+            <div className="flex gap-2">
+              <select
+                value=""
+                onChange={(e) => handleMoveSelected(e.target.value || null)}
+                disabled={bulk.running}
+                className="border border-gray-300 rounded px-3 py-2"
+              >
+                <option value="" disabled>Move Selected to...</option>
+                {folders.map(folder => (
+                  <option key={folder.id} value={folder.id}>
+                    {folder.path}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => downloads.downloadZip(files.filter(file => selectedFiles.includes(file.id)))}
+                disabled={downloads.downloading}
+                className="px-4 py-2 border border-gray-300 rounded hover:bg-gray-50"
+              >
+                {downloads.downloading ? `Zipping ${downloads.progress}%` : 'Download Selected'}
+              </button>
+              <button
+                onClick={handleDeleteSelected}
+                disabled={bulk.running}
+                className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700"
+              >
+                Delete Selected ({selectedFiles.length})
+              </button>
+            </div>
           )}
         </div>
 
+        {bulk.pendingDelete && (
+          <div className="flex justify-between items-center bg-gray-800 text-white rounded px-4 py-2 mb-4">
+            <span>{bulk.pendingDelete.ids.length} files deleted</span>
+            <button onClick={bulk.undo} className="font-medium underline">
+              Undo
+            </button>
+          </div>
+        )}
+
+        {bulk.running && (
+          <progress value={bulk.progress} max="100" className="w-full mb-4" />
+        )}
+
+        {bulk.error && (
+          <div className="bg-red-50 border border-red-200 rounded p-4 mb-4">
+            <div className="text-red-800 font-medium">{bulk.error}</div>
+            <ul className="text-red-600 text-sm">
+              {bulk.results.filter(result => !result.success).map(result => (
+                <li key={result.id}>{result.id}: {result.error.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {files.length === 0 ? (
           <div className="text-center py-12 text-gray-500">
             No files in this folder
@@ -145,6 +183,7 @@ function FileManager() {
                 selected={selectedFiles.includes(file.id)}
                 onSelect={() => toggleFileSelection(file.id)}
                 onDelete={() => handleDelete(file.id)}
+                onDownload={() => downloads.download(file.id)}
                 onMove={(folderId) => handleMove(file.id, folderId)}
                 folders={folders}
               />
@@ -158,18 +197,23 @@ function FileManager() {
 
 // ==================== FILE CARD COMPONENT ====================
 
-function FileCard({ file, selected, onSelect, onDelete, onMove, folders }) {
+function FileCard({ file, selected, onSelect, onDelete, onDownload, onMove, folders }) {
   const [showMenu, setShowMenu] = useState(false);
   
   const imageUrl = useFileUrl(
-    file.is_image ? file.id : null,
+    file.is_image && !file.optimistic ? file.id : null,
     { width: 300, height: 300, fit: 'cover', format: 'webp' }
   );
 
   return (
     <div className={`relative border rounded-lg overflow-hidden ${selected ? 'ring-2 ring-blue-500' : ''}`}>
       <div className="aspect-square bg-gray-100 relative">
-        {file.is_image ? (
+        {file.uploading ? (
+          <div className="w-full h-full flex flex-col items-center justify-center text-gray-500">
+            <span className="text-sm">Uploading {file.progress}%</span>
+            <progress value={file.progress} max="100" className="w-3/4 mt-2" />
+          </div>
+        ) : file.is_image ? (
           <img
             src={imageUrl}
             alt={file.original_name}
@@ -206,6 +250,15 @@ function FileCard({ file, selected, onSelect, onDelete, onMove, folders }) {
           
           {showMenu && (
             <div className="absolute right-0 mt-1 w-48 bg-white rounded-md shadow-lg z-10">
+              <button
+                onClick={() => {
+                  onDownload();
+                  setShowMenu(false);
+                }}
+                className="block w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+              >
+                Download
+              </button>
               <button
                 onClick={() => {
                   onDelete();
@@ -1,5 +1,5 @@
 import React from 'react';
-import { useFiles, useFileUrl } from 'dam-react-hooks';
+import { useFiles, DAMImage } from 'dam-react-hooks';
 
 export function ImageGallery({ folderId }) {
   const { files, loading, error } = useFiles({ 
@@ -20,16 +20,15 @@ export function ImageGallery({ folderId }) {
 }
 
 function ImageCard({ file }) {
-  const thumbnailUrl = useFileUrl(file.id, {
-    width: 300,
-    height: 300,
-    fit: 'cover',
-    format: 'webp'
-  });
-
   return (
     <div className="border rounded overflow-hidden">
-      <img src={thumbnailUrl} alt={file.original_name} />
+      <DAMImage
+        fileId={file.id}
+        alt={file.original_name}
+        widths={[150, 300, 600]}
+        sizes="(min-width: 1024px) 25vw, 50vw"
+        aspectRatio={1}
+      />
       <div className="p-2">
         <p className="text-sm truncate">{file.original_name}</p>
       </div>
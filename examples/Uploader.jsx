@@ -1,31 +1,48 @@
 import React from 'react';
-import { useFileUpload } from 'dam-react-hooks';
+import { useDropzone } from 'dam-react-hooks';
 
 export function Uploader({ folderId, onUploadComplete }) {
-  const { upload, uploading, progress, error } = useFileUpload();
-
-  const handleFiles = async (e) => {
-    const files = Array.from(e.target.files);
-    for (const file of files) {
-      await upload(file, { folderId });
-    }
-    onUploadComplete?.();
-  };
+  const {
+    getRootProps,
+    getInputProps,
+    isDragActive,
+    items,
+    progress,
+    uploading,
+    cancel,
+    error,
+  } = useDropzone({
+    folderId,
+    validation: { accept: ['image/*', '.pdf'], maxSize: 50 * 1024 * 1024 },
+    onUploaded: () => onUploadComplete?.(),
+  });
 
   return (
     <div>
-      <input
-        type="file"
-        multiple
-        onChange={handleFiles}
-        disabled={uploading}
-      />
+      <div
+        {...getRootProps({
+          className: `border-2 border-dashed rounded p-8 text-center ${isDragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`,
+        })}
+      >
+        <input {...getInputProps()} />
+        {isDragActive ? 'Drop to upload' : 'Drag files or folders here, paste, or click to browse'}
+      </div>
       {uploading && (
         <div>
           <progress value={progress} max="100" />
           <span>{progress}%</span>
         </div>
       )}
+      <ul>
+        {items.map(item => (
+          <li key={item.id}>
+            {item.preview && <img src={item.preview} alt="" width={32} height={32} />}
+            {item.file.name} - {item.status === 'uploading' ? `${item.progress}%` : item.status}
+            {item.error && <span className="text-red-500"> {item.error}</span>}
+            {item.status === 'uploading' && <button onClick={() => cancel(item.id)}>Cancel</button>}
+          </li>
+        ))}
+      </ul>
       {error && <div className="text-red-500">{error}</div>}
     </div>
   );
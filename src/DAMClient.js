@@ -1,27 +1,229 @@
+import {
+  getUploadFingerprint,
+  loadUploadSession,
+  saveUploadSession,
+  clearUploadSession,
+} from './uploadSessions.js';
+import {
+  DAMError,
+  AuthenticationError,
+  NotFoundError,
+  NetworkError,
+  AbortError,
+  createResponseError,
+} from './errors.js';
+import { DEFAULT_RETRY_POLICY, resolveRetryPolicy, withRetry } from './retry.js';
+import {
+  buildTransformParams,
+  normalizeTransformParams,
+  resolveTransformOptions,
+} from './transforms.js';
+import { hashFile } from './fileHash.js';
+import { createZipStream } from './zipStream.js';
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+const DEFAULT_CHUNK_RETRIES = 3;
+const SIGNED_URL_REFRESH_MARGIN = 30 * 1000;
+const SIGNATURE_BATCH_SIZE = 100;
+const FILE_BATCH_SIZE = 100;
+const DEFAULT_BATCH_CONCURRENCY = 4;
+
+// Responses that mean the server has no batch endpoint
+const NO_BATCH_STATUSES = [404, 405, 501];
+
+/**
+ * Read the file name from a Content-Disposition header, preferring
+ * the UTF-8 `filename*` form
+ */
+function getDispositionFilename(header) {
+  if (!header) return null;
+
+  const encoded = /filename\*\s*=\s*(?:UTF-8|utf-8)''([^;]+)/.exec(header);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim());
+    } catch {
+      // Malformed encoding, fall back to the plain filename
+    }
+  }
+
+  const plain = /filename\s*=\s*("(?:[^"\\]|\\.)*"|[^;]+)/.exec(header);
+  if (!plain) return null;
+
+  const value = plain[1].trim();
+  return value.startsWith('"') ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value;
+}
+
+const toList = value => [].concat(value ?? []);
+
+const toQueryDate = value => (value instanceof Date ? value.toISOString() : value);
+
+const FILE_QUERY_PARAMS = [
+  ['folderId', 'folder_id'],
+  ['collectionId', 'collection_id'],
+  ['search', 'search'],
+  ['sort', 'sort'],
+  ['order', 'order'],
+  ['createdAfter', 'created_after', toQueryDate],
+  ['createdBefore', 'created_before', toQueryDate],
+  ['updatedAfter', 'updated_after', toQueryDate],
+  ['updatedBefore', 'updated_before', toQueryDate],
+  ['minSize', 'min_size'],
+  ['maxSize', 'max_size'],
+  ['limit', 'limit'],
+  ['offset', 'offset'],
+  ['cursor', 'cursor'],
+];
+
+/**
+ * Build the query string for a file list request.
+ * List options repeat their parameter (mime_type=a&mime_type=b) and
+ * metadata filters become metadata[key]=value.
+ */
+function buildFileQuery(options) {
+  const params = new URLSearchParams();
+
+  FILE_QUERY_PARAMS.forEach(([option, param, format]) => {
+    const value = options[option];
+    // Size bounds of 0 are real filters; a zero limit or offset is the default
+    if (value == null || value === '' || (value === 0 && (option === 'limit' || option === 'offset'))) return;
+    params.append(param, format ? format(value) : value);
+  });
+
+  toList(options.mimeType).forEach(type => params.append('mime_type', type));
+  [...toList(options.tag), ...toList(options.tags)].forEach(tag => params.append('tag', tag));
+
+  Object.entries(options.metadata || {}).forEach(([key, value]) => {
+    if (value != null) params.append(`metadata[${key}]`, value);
+  });
+
+  if (options.recursive) params.append('recursive', 'true');
+  if (options.facets) params.append('facets', 'true');
+
+  return params;
+}
+
 /**
  * DAM Client - Core API client for DAM System
- * Handles API key authentication and HTTP requests
+ * Handles API key or bearer token authentication and HTTP requests
  */
 class DAMClient {
   constructor(config) {
-    if (!config || !config.apiUrl || !config.keyId || !config.keySecret) {
-      throw new Error('DAMClient requires config with apiUrl, keyId, and keySecret');
+    const hasKeyPair = config && config.keyId && config.keySecret;
+    const hasTokenProvider = config && typeof config.getToken === 'function';
+
+    if (!config || !config.apiUrl || (!hasKeyPair && !hasTokenProvider)) {
+      throw new DAMError('DAMClient requires config with apiUrl and either keyId and keySecret, or getToken');
     }
 
     this.apiUrl = config.apiUrl.replace(/\/$/, '');
     this.keyId = config.keyId;
     this.keySecret = config.keySecret;
+    this.getToken = hasTokenProvider ? config.getToken : null;
+    this.signUrls = typeof config.signUrls === 'function' ? config.signUrls : null;
+    this.presets = config.presets || {};
+    this.validation = config.validation || null;
+    this.dedupe = config.dedupe || false;
+    this.offline = config.offline || false;
+    // null until the first batch request shows whether the server has the endpoint
+    this.batchSupported = config.batch === false ? false : null;
+    this.signedUrls = new Map();
+    this.signatureQueue = [];
+    this.signatureTimer = null;
     this.baseUrl = `${this.apiUrl}/api`;
+    this.retryPolicy = config.retry === false
+      ? null
+      : { ...DEFAULT_RETRY_POLICY, ...config.retry };
+
+    // Fail fast on invalid presets instead of on first render
+    Object.keys(this.presets).forEach(name => {
+      buildTransformParams(resolveTransformOptions(name, this.presets));
+    });
+  }
+
+  /**
+   * Get authentication headers for a request
+   * With a token provider, asks it for a bearer token on every request.
+   */
+  async getAuthHeaders(forceRefresh = false) {
+    if (!this.getToken) {
+      return {
+        'X-API-Key-ID': this.keyId,
+        'X-API-Key-Secret': this.keySecret,
+      };
+    }
+
+    const result = await this.getToken({ forceRefresh });
+    const token = result && typeof result === 'object' ? result.token : result;
+
+    if (!token) {
+      throw new AuthenticationError('getToken did not return a token');
+    }
+
+    return { Authorization: `Bearer ${token}` };
+  }
+
+  /**
+   * Run a request, asking the token provider for a fresh token and
+   * trying once more when the server rejects the current one with 401
+   */
+  async withTokenRefresh(run) {
+    try {
+      return await run(false);
+    } catch (err) {
+      if (!this.getToken || !(err instanceof AuthenticationError) || err.status !== 401) {
+        throw err;
+      }
+      return run(true);
+    }
   }
 
   /**
    * Make authenticated request to DAM API
+   * Retries per the client retry policy; pass `retry` to override per call.
    */
   async request(endpoint, options = {}) {
+    const { retry, ...requestOptions } = options;
+    const policy = resolveRetryPolicy(this.retryPolicy, retry, options.method || 'GET');
+
+    return this.withTokenRefresh(forceRefresh => withRetry(
+      attempt => this.performRequest(endpoint, requestOptions, forceRefresh && attempt === 1),
+      policy,
+      options.signal
+    ));
+  }
+
+  /**
+   * Make authenticated request and resolve to the fetch Response
+   * For bodies that aren't JSON, such as downloads. Retries and token
+   * refreshes work as in request(), up to the response headers.
+   */
+  async requestResponse(endpoint, options = {}) {
+    const { retry, ...requestOptions } = options;
+    const policy = resolveRetryPolicy(this.retryPolicy, retry, options.method || 'GET');
+
+    return this.withTokenRefresh(forceRefresh => withRetry(
+      attempt => this.fetchResponse(endpoint, requestOptions, forceRefresh && attempt === 1),
+      policy,
+      options.signal
+    ));
+  }
+
+  /**
+   * Make a single authenticated request attempt
+   */
+  async performRequest(endpoint, options = {}, forceRefresh = false) {
+    const response = await this.fetchResponse(endpoint, options, forceRefresh);
+    return await response.json();
+  }
+
+  /**
+   * Send one authenticated request; throws a DAMError for failed responses
+   */
+  async fetchResponse(endpoint, options = {}, forceRefresh = false) {
     const url = `${this.baseUrl}${endpoint}`;
     const headers = {
-      'X-API-Key-ID': this.keyId,
-      'X-API-Key-Secret': this.keySecret,
+      ...(await this.getAuthHeaders(forceRefresh)),
       ...options.headers,
     };
 
@@ -30,35 +232,135 @@ class DAMClient {
     }
 
     const fetchOptions = {
+      ...options,
       method: options.method || 'GET',
       headers,
-      ...options,
     };
 
     if (options.body && !(options.body instanceof FormData)) {
       fetchOptions.body = JSON.stringify(options.body);
     }
 
-    const response = await fetch(url, fetchOptions);
-    
+    let response;
+    try {
+      response = await fetch(url, fetchOptions);
+    } catch (err) {
+      if (err && err.name === 'AbortError') {
+        throw new AbortError('Request cancelled', { cause: err });
+      }
+      throw new NetworkError(`Network error: ${err.message}`, { cause: err });
+    }
+
     if (!response.ok) {
-      let errorMessage = 'Request failed';
+      let body = null;
       try {
-        const errorData = await response.json();
-        errorMessage = errorData.message || errorData.error || errorMessage;
+        const text = await response.text();
+        try {
+          body = JSON.parse(text);
+        } catch {
+          body = text || null;
+        }
       } catch {
-        errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+        body = null;
       }
-      throw new Error(errorMessage);
+
+      throw createResponseError(response.status, body, {
+        statusText: response.statusText,
+        requestId: response.headers.get('X-Request-Id'),
+        retryAfter: response.headers.get('Retry-After'),
+      });
     }
 
-    return await response.json();
+    return response;
+  }
+
+  /**
+   * Look up a file by SHA-256 content hash using API key
+   * Resolves to null when the server has no file with that hash.
+   */
+  async findFileByHash(hash, options = {}) {
+    try {
+      const response = await this.request(`/public/files/by-hash/${hash}`, {
+        signal: options.signal,
+      });
+      return response.data || null;
+    } catch (err) {
+      if (err instanceof NotFoundError) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Add an existing file to a folder without uploading it again
+   */
+  async createFileReference(fileId, options = {}) {
+    return this.request(`/public/files/${fileId}/references`, {
+      method: 'POST',
+      body: {
+        folder_id: options.folderId || null,
+        metadata: options.metadata || null,
+        tags: toList(options.tags),
+      },
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Hash a file and ask the server for an existing copy.
+   * `dedupe: true` returns the existing record; `dedupe: 'reference'`
+   * also adds it to the target folder when it lives elsewhere.
+   * Resolves to { hash, response }, where response is set when the
+   * upload can be skipped. A precomputed `options.sha256` is used as is.
+   */
+  async checkDuplicate(file, options = {}) {
+    const mode = options.dedupe ?? this.dedupe;
+    if (!mode) return { hash: options.sha256 || null, response: null };
+
+    let hash = options.sha256;
+    if (!hash) {
+      try {
+        hash = await hashFile(file, { signal: options.signal });
+      } catch (err) {
+        if (err instanceof AbortError) throw err;
+        // Deduplication is an optimisation; upload normally without a hash
+        return { hash: null, response: null };
+      }
+    }
+
+    let existing;
+    try {
+      existing = await this.findFileByHash(hash, { signal: options.signal });
+    } catch (err) {
+      if (err instanceof AbortError) throw err;
+      // Lookup unavailable (no endpoint, server or network error): upload normally,
+      // without a hash the server never confirmed
+      return { hash: null, response: null };
+    }
+    if (!existing) return { hash, response: null };
+
+    const sameFolder = String(existing.folder_id ?? '') === String(options.folderId ?? '');
+    if (mode === 'reference' && !sameFolder) {
+      const reference = await this.createFileReference(existing.id, options);
+      return { hash, response: { ...reference, deduplicated: true } };
+    }
+
+    // The upload's tags still apply to the file it turned out to be
+    if (toList(options.tags).length) {
+      const tagged = await this.addFileTags(existing.id, options.tags, { signal: options.signal });
+      return { hash, response: { data: tagged.data || existing, deduplicated: true } };
+    }
+
+    return { hash, response: { data: existing, deduplicated: true } };
   }
 
   /**
    * Upload single file using API key
+   * With `dedupe` on, files the server already has are not sent again.
    */
   async uploadFile(file, options = {}) {
+    const { hash, response } = await this.checkDuplicate(file, options);
+    if (response) return response;
+
     const formData = new FormData();
     formData.append('file', file);
 
@@ -70,91 +372,924 @@ class DAMClient {
       formData.append('metadata', JSON.stringify(options.metadata));
     }
 
+    if (toList(options.tags).length) {
+      formData.append('tags', JSON.stringify(toList(options.tags)));
+    }
+
+    if (hash) {
+      formData.append('sha256', hash);
+    }
+
     return this.request('/public/single', {
       method: 'POST',
       body: formData,
+      retry: options.retry,
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Upload single file with progress events using API key
+   * Uses XMLHttpRequest for upload progress; abort through options.signal.
+   * Not retried unless `options.retry` asks for it.
+   */
+  async uploadFileWithProgress(file, options = {}) {
+    const policy = resolveRetryPolicy(this.retryPolicy, options.retry, 'POST');
+    const { hash, response } = await this.checkDuplicate(file, options);
+
+    if (response) {
+      if (options.onProgress) options.onProgress(100);
+      return response;
+    }
+
+    const uploadOptions = hash ? { ...options, sha256: hash } : options;
+
+    return this.withTokenRefresh(forceRefresh => withRetry(
+      attempt => this.sendUploadRequest(file, uploadOptions, forceRefresh && attempt === 1),
+      policy,
+      options.signal
+    ));
+  }
+
+  /**
+   * Send one XMLHttpRequest upload attempt
+   */
+  async sendUploadRequest(file, options = {}, forceRefresh = false) {
+    const authHeaders = await this.getAuthHeaders(forceRefresh);
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      const url = `${this.baseUrl}/public/single`;
+      const { signal, onProgress } = options;
+
+      if (signal && signal.aborted) {
+        reject(new AbortError('Upload cancelled'));
+        return;
+      }
+
+      const onAbort = () => xhr.abort();
+
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable && onProgress) {
+          const percent = Math.round((e.loaded / e.total) * 100);
+          onProgress(percent);
+        }
+      });
+
+      xhr.addEventListener('load', () => {
+        let body = null;
+        try {
+          body = JSON.parse(xhr.responseText);
+        } catch {
+          body = xhr.responseText || null;
+        }
+
+        if (xhr.status >= 200 && xhr.status < 300) {
+          if (body && typeof body === 'object') {
+            resolve(body);
+          } else {
+            reject(new DAMError('Invalid JSON response', { status: xhr.status, body }));
+          }
+        } else {
+          reject(createResponseError(xhr.status, body, {
+            statusText: xhr.statusText,
+            requestId: xhr.getResponseHeader('X-Request-Id'),
+            retryAfter: xhr.getResponseHeader('Retry-After'),
+          }));
+        }
+      });
+
+      xhr.addEventListener('error', () => {
+        reject(new NetworkError('Network error during upload'));
+      });
+
+      xhr.addEventListener('abort', () => {
+        reject(new AbortError('Upload cancelled'));
+      });
+
+      xhr.addEventListener('loadend', () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      });
+
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      xhr.open('POST', url);
+      Object.keys(authHeaders).forEach(name => {
+        xhr.setRequestHeader(name, authHeaders[name]);
+      });
+
+      const formData = new FormData();
+      formData.append('file', file);
+      if (options.folderId) {
+        formData.append('folder_id', options.folderId);
+      }
+      if (options.metadata) {
+        formData.append('metadata', JSON.stringify(options.metadata));
+      }
+
+      if (toList(options.tags).length) {
+        formData.append('tags', JSON.stringify(toList(options.tags)));
+      }
+      if (options.sha256) {
+        formData.append('sha256', options.sha256);
+      }
+
+      xhr.send(formData);
     });
   }
 
   /**
    * Upload multiple files using API key
+   * With `dedupe` on, only files the server doesn't have are sent; the
+   * existing records are returned in their place, in the original order.
    */
   async uploadMultipleFiles(files, options = {}) {
-    const formData = new FormData();
-    
-    files.forEach(file => {
-      formData.append('files', file);
-    });
+    // A hash given for one file must not be reused for the others
+    const sharedOptions = { ...options, sha256: undefined };
+    const checks = [];
 
-    if (options.folderId) {
-      formData.append('folder_id', options.folderId);
+    // One file at a time keeps memory use down while hashing
+    for (const file of files) {
+      checks.push(await this.checkDuplicate(file, sharedOptions));
     }
 
-    if (options.metadata) {
-      formData.append('metadata', JSON.stringify(options.metadata));
+    const pending = files.filter((file, index) => !checks[index].response);
+    let response = null;
+
+    if (pending.length) {
+      const formData = new FormData();
+
+      pending.forEach(file => {
+        formData.append('files', file);
+      });
+
+      if (options.folderId) {
+        formData.append('folder_id', options.folderId);
+      }
+
+      if (options.metadata) {
+        formData.append('metadata', JSON.stringify(options.metadata));
+      }
+
+      if (toList(options.tags).length) {
+        formData.append('tags', JSON.stringify(toList(options.tags)));
+      }
+
+      const hashes = checks.filter(check => !check.response).map(check => check.hash);
+      if (hashes.some(Boolean)) {
+        formData.append('sha256', JSON.stringify(hashes));
+      }
+
+      response = await this.request('/public/multiple', {
+        method: 'POST',
+        body: formData,
+        retry: options.retry,
+        signal: options.signal,
+      });
+    }
+
+    const skipped = checks.filter(check => check.response).length;
+    if (!skipped) return response;
+
+    const uploaded = response && Array.isArray(response.data) ? [...response.data] : [];
+    return {
+      ...response,
+      data: checks.map(check => (check.response ? check.response.data : uploaded.shift())),
+      deduplicated: skipped,
+    };
+  }
+
+  /**
+   * Upload large file in chunks using API key
+   * Resumes from the last part the server confirmed when the same file
+   * is uploaded again, e.g. after a page reload.
+   */
+  async uploadFileChunked(file, options = {}) {
+    const { signal } = options;
+    const { hash, response: duplicate } = await this.checkDuplicate(file, options);
+
+    if (duplicate) {
+      if (options.onProgress) options.onProgress(100);
+      return duplicate;
     }
 
-    return this.request('/public/multiple', {
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const maxRetries = options.maxRetries ?? DEFAULT_CHUNK_RETRIES;
+    const totalParts = Math.max(1, Math.ceil(file.size / chunkSize));
+    const fingerprint = getUploadFingerprint(file, options);
+    const completedParts = new Set();
+
+    let session = loadUploadSession(fingerprint);
+
+    if (session && session.chunkSize === chunkSize) {
+      try {
+        const status = await this.request(`/public/uploads/${session.uploadId}`, { signal });
+        (status.data.received_parts || []).forEach(index => completedParts.add(index));
+      } catch (err) {
+        if (err instanceof AbortError) throw err;
+        session = null;
+      }
+    } else {
+      session = null;
+    }
+
+    if (!session) {
+      const init = await this.request('/public/uploads', {
+        method: 'POST',
+        body: {
+          filename: file.name,
+          size: file.size,
+          mime_type: file.type,
+          chunk_size: chunkSize,
+          total_parts: totalParts,
+          folder_id: options.folderId || null,
+          metadata: options.metadata || null,
+          tags: toList(options.tags),
+          sha256: hash,
+        },
+        signal,
+      });
+      session = { uploadId: init.data.upload_id, chunkSize };
+      saveUploadSession(fingerprint, session);
+    }
+
+    const reportProgress = () => {
+      if (!options.onProgress) return;
+
+      let uploaded = 0;
+      completedParts.forEach(index => {
+        uploaded += Math.min(chunkSize, file.size - index * chunkSize);
+      });
+      options.onProgress(file.size ? Math.round((uploaded / file.size) * 100) : 100);
+    };
+
+    reportProgress();
+
+    for (let index = 0; index < totalParts; index++) {
+      if (completedParts.has(index)) continue;
+
+      const start = index * chunkSize;
+      const chunk = file.slice(start, Math.min(start + chunkSize, file.size));
+      await this.uploadChunk(session.uploadId, index, chunk, { maxRetries, signal });
+
+      completedParts.add(index);
+      reportProgress();
+    }
+
+    const result = await this.request(`/public/uploads/${session.uploadId}/complete`, {
       method: 'POST',
+      body: { total_parts: totalParts },
+      signal,
+    });
+
+    clearUploadSession(fingerprint);
+    return result;
+  }
+
+  /**
+   * Upload one part of a chunked upload, retrying with backoff
+   */
+  async uploadChunk(uploadId, index, chunk, options = {}) {
+    const maxRetries = options.maxRetries ?? DEFAULT_CHUNK_RETRIES;
+    const formData = new FormData();
+    formData.append('chunk', chunk);
+
+    return this.request(`/public/uploads/${uploadId}/parts/${index}`, {
+      method: 'PUT',
       body: formData,
+      retry: { maxAttempts: maxRetries + 1 },
+      signal: options.signal,
     });
   }
 
   /**
    * Get user's files using API key
+   * Besides folderId, search and paging, accepts sort and order
+   * ('asc' | 'desc'), createdAfter/createdBefore and updatedAfter/
+   * updatedBefore (Date or ISO string), minSize/maxSize (bytes), mimeType
+   * and tags (one or a list, `tag` works too), metadata ({ key: value }
+   * pairs that must all match), collectionId, recursive (include
+   * subfolders of folderId) and facets (ask for counts by type and folder).
    */
   async getFiles(options = {}) {
-    const params = new URLSearchParams();
-    if (options.folderId) params.append('folder_id', options.folderId);
-    if (options.mimeType) params.append('mime_type', options.mimeType);
-    if (options.search) params.append('search', options.search);
-    if (options.limit) params.append('limit', options.limit);
-    if (options.offset) params.append('offset', options.offset);
-
+    const params = buildFileQuery(options);
     const query = params.toString();
-    return this.request(`/public/files${query ? '?' + query : ''}`);
+    return this.request(`/public/files${query ? '?' + query : ''}`, {
+      signal: options.signal,
+    });
   }
 
   /**
    * Get single file using API key
    */
-  async getFile(fileId) {
-    return this.request(`/public/files/${fileId}`);
+  async getFile(fileId, options = {}) {
+    return this.request(`/public/files/${fileId}`, {
+      signal: options.signal,
+    });
   }
 
   /**
    * Delete file using API key
    */
-  async deleteFile(fileId) {
+  async deleteFile(fileId, options = {}) {
     return this.request(`/public/files/${fileId}`, {
       method: 'DELETE',
+      retry: options.retry,
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Move file to another folder using API key
+   */
+  async moveFile(fileId, folderId, options = {}) {
+    return this.request(`/public/files/${fileId}`, {
+      method: 'PATCH',
+      body: { folder_id: folderId || null },
+      retry: options.retry,
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Rename file using API key
+   */
+  async renameFile(fileId, name, options = {}) {
+    return this.request(`/public/files/${fileId}`, {
+      method: 'PATCH',
+      body: { original_name: name },
+      retry: options.retry,
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Update file metadata using API key
+   * Replaces the metadata unless options.merge is set, in which case
+   * the given keys are patched into the existing metadata.
+   */
+  async updateMetadata(fileId, metadata, options = {}) {
+    return this.request(`/public/files/${fileId}/metadata`, {
+      method: options.merge ? 'PATCH' : 'PUT',
+      body: { metadata },
+      retry: options.retry,
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Delete many files using API key
+   * Resolves to { results, succeeded, failed }; see runFileBatch.
+   */
+  async deleteFiles(fileIds, options = {}) {
+    return this.runFileBatch(
+      fileIds,
+      { action: 'delete' },
+      fileId => this.deleteFile(fileId, options),
+      options
+    );
+  }
+
+  /**
+   * Move many files to another folder using API key
+   */
+  async moveFiles(fileIds, folderId, options = {}) {
+    return this.runFileBatch(
+      fileIds,
+      { action: 'move', folder_id: folderId || null },
+      fileId => this.moveFile(fileId, folderId, options),
+      options
+    );
+  }
+
+  /**
+   * Update the metadata of many files using API key
+   * Replaces the metadata unless options.merge is set.
+   */
+  async updateFilesMetadata(fileIds, metadata, options = {}) {
+    return this.runFileBatch(
+      fileIds,
+      { action: 'update_metadata', metadata, merge: Boolean(options.merge) },
+      fileId => this.updateMetadata(fileId, metadata, options),
+      options
+    );
+  }
+
+  /**
+   * Apply one action to many files.
+   * Sends `POST /public/files/batch` in groups of 100 ids while the server
+   * supports it, otherwise one request per file, `concurrency` (default 4)
+   * at a time. One file failing doesn't stop the others.
+   *
+   * Resolves to { results, succeeded, failed }: results holds
+   * { id, success, data, error } per id in the given order, succeeded and
+   * failed hold the ids. `onResult(result)` and `onProgress(percent)` are
+   * called as items finish.
+   */
+  async runFileBatch(fileIds, batchBody, perFile, options = {}) {
+    const ids = Array.from(fileIds);
+    const results = new Array(ids.length);
+    let finished = 0;
+
+    const settle = (index, result) => {
+      results[index] = result;
+      finished += 1;
+      if (options.onResult) options.onResult(result);
+      if (options.onProgress) options.onProgress(Math.round((finished / ids.length) * 100));
+    };
+
+    const checkAborted = () => {
+      if (options.signal && options.signal.aborted) {
+        throw new AbortError('Request cancelled');
+      }
+    };
+
+    let start = 0;
+    while (start < ids.length && this.batchSupported !== false) {
+      checkAborted();
+      const group = ids.slice(start, start + FILE_BATCH_SIZE);
+
+      let response;
+      try {
+        response = await this.request('/public/files/batch', {
+          method: 'POST',
+          body: { ...batchBody, file_ids: group },
+          retry: options.retry,
+          signal: options.signal,
+        });
+        this.batchSupported = true;
+      } catch (err) {
+        if (err instanceof AbortError) throw err;
+        if (this.batchSupported === null && NO_BATCH_STATUSES.includes(err.status)) {
+          this.batchSupported = false;
+          break;
+        }
+        group.forEach((id, offset) => settle(start + offset, { id, success: false, data: null, error: err }));
+        start += group.length;
+        continue;
+      }
+
+      const items = response && Array.isArray(response.data) ? response.data : [];
+      group.forEach((id, offset) => {
+        const item = items.find(entry => String(entry.id) === String(id));
+        if (item && item.success !== false) {
+          settle(start + offset, { id, success: true, data: item.data ?? null, error: null });
+        } else {
+          const error = item
+            ? createResponseError(item.status || 400, item)
+            : new DAMError(`No batch result returned for file ${id}`);
+          settle(start + offset, { id, success: false, data: null, error });
+        }
+      });
+      start += group.length;
+    }
+
+    // Without a batch endpoint, fall back to per-file requests for the rest
+    let next = start;
+    const worker = async () => {
+      while (next < ids.length) {
+        checkAborted();
+        const index = next++;
+        try {
+          const response = await perFile(ids[index]);
+          settle(index, { id: ids[index], success: true, data: response ? response.data ?? null : null, error: null });
+        } catch (err) {
+          if (err instanceof AbortError) throw err;
+          settle(index, { id: ids[index], success: false, data: null, error: err });
+        }
+      }
+    };
+
+    const concurrency = Math.max(1, options.concurrency || DEFAULT_BATCH_CONCURRENCY);
+    await Promise.all(Array.from({ length: Math.min(concurrency, ids.length - start) }, worker));
+
+    return {
+      results,
+      succeeded: results.filter(result => result.success).map(result => result.id),
+      failed: results.filter(result => !result.success).map(result => result.id),
+    };
+  }
+
+  /**
+   * Get tags using API key
+   */
+  async getTags(options = {}) {
+    const params = new URLSearchParams();
+    if (options.search) params.append('search', options.search);
+
+    const query = params.toString();
+    return this.request(`/public/tags${query ? '?' + query : ''}`, {
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Create tag using API key
+   */
+  async createTag(name, options = {}) {
+    return this.request('/public/tags', {
+      method: 'POST',
+      body: {
+        name,
+        color: options.color || null,
+      },
+    });
+  }
+
+  /**
+   * Rename or recolor tag using API key
+   */
+  async updateTag(tagId, changes) {
+    return this.request(`/public/tags/${tagId}`, {
+      method: 'PATCH',
+      body: changes,
+    });
+  }
+
+  /**
+   * Delete tag using API key
+   * The tag is removed from every file that had it.
+   */
+  async deleteTag(tagId) {
+    return this.request(`/public/tags/${tagId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Attach tags to a file using API key
+   * Tags are names or ids; unknown names are created. Resolves to the
+   * updated file.
+   */
+  async addFileTags(fileId, tags, options = {}) {
+    return this.request(`/public/files/${fileId}/tags`, {
+      method: 'POST',
+      body: { tags: toList(tags) },
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Detach tags from a file using API key
+   */
+  async removeFileTags(fileId, tags, options = {}) {
+    return this.request(`/public/files/${fileId}/tags`, {
+      method: 'DELETE',
+      body: { tags: toList(tags) },
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Get collections using API key
+   */
+  async getCollections(options = {}) {
+    return this.request('/public/collections', {
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Get single collection with its ordered file ids using API key
+   */
+  async getCollection(collectionId, options = {}) {
+    return this.request(`/public/collections/${collectionId}`, {
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Create collection using API key
+   * Optionally starts with `fileIds`, in that order.
+   */
+  async createCollection(name, options = {}) {
+    return this.request('/public/collections', {
+      method: 'POST',
+      body: {
+        name,
+        description: options.description || null,
+        file_ids: toList(options.fileIds),
+      },
+    });
+  }
+
+  /**
+   * Rename collection or change its description using API key
+   */
+  async updateCollection(collectionId, changes) {
+    return this.request(`/public/collections/${collectionId}`, {
+      method: 'PATCH',
+      body: changes,
+    });
+  }
+
+  /**
+   * Delete collection using API key
+   * Only the collection goes; its files stay where they are.
+   */
+  async deleteCollection(collectionId) {
+    return this.request(`/public/collections/${collectionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Add files to a collection using API key
+   * Appends them unless options.position (0-based) says where to insert.
+   */
+  async addToCollection(collectionId, fileIds, options = {}) {
+    return this.request(`/public/collections/${collectionId}/files`, {
+      method: 'POST',
+      body: {
+        file_ids: toList(fileIds),
+        position: options.position ?? null,
+      },
+    });
+  }
+
+  /**
+   * Remove files from a collection using API key
+   */
+  async removeFromCollection(collectionId, fileIds) {
+    return this.request(`/public/collections/${collectionId}/files`, {
+      method: 'DELETE',
+      body: { file_ids: toList(fileIds) },
+    });
+  }
+
+  /**
+   * Set the order of a collection's files using API key
+   * `fileIds` must list every file in the collection.
+   */
+  async reorderCollection(collectionId, fileIds) {
+    return this.request(`/public/collections/${collectionId}/files`, {
+      method: 'PUT',
+      body: { file_ids: toList(fileIds) },
+    });
+  }
+
+  /**
+   * Download a file's original using API key
+   * Resolves to { blob, filename, type, size, lastModified }; with
+   * `stream: true` the body is not read and `stream` replaces `blob`.
+   * `onProgress(percent)` follows the bytes read when the size is known.
+   */
+  async downloadFile(fileId, options = {}) {
+    const response = await this.requestResponse(`/public/files/${fileId}/download`, {
+      signal: options.signal,
+      retry: options.retry,
+    });
+
+    const size = Number(response.headers.get('Content-Length')) || null;
+    const info = {
+      filename: getDispositionFilename(response.headers.get('Content-Disposition'))
+        || options.filename
+        || String(fileId),
+      type: response.headers.get('Content-Type') || 'application/octet-stream',
+      size,
+      lastModified: Date.parse(response.headers.get('Last-Modified')) || null,
+    };
+
+    if (!response.body) {
+      const blob = await response.blob();
+      if (options.onProgress) options.onProgress(100);
+      return options.stream ? { ...info, stream: blob.stream() } : { ...info, blob };
+    }
+
+    let loaded = 0;
+    const stream = !options.onProgress ? response.body : response.body.pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        loaded += chunk.length;
+        if (size) options.onProgress(Math.min(100, Math.round((loaded / size) * 100)));
+        controller.enqueue(chunk);
+      },
+      flush() {
+        options.onProgress(100);
+      },
+    }));
+
+    if (options.stream) {
+      return { ...info, stream };
+    }
+
+    const chunks = [];
+    const reader = stream.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+      }
+    } catch (err) {
+      if (err && err.name === 'AbortError') {
+        throw new AbortError('Download cancelled', { cause: err });
+      }
+      throw new NetworkError('Network error during download', { cause: err });
+    }
+
+    return { ...info, blob: new Blob(chunks, { type: info.type }) };
+  }
+
+  /**
+   * Stream a ZIP archive of several files using API key
+   * `files` are ids or file records ({ id, original_name, path }); they
+   * are downloaded one at a time while the archive is read, so it can be
+   * written to disk without holding the files in memory.
+   * `onProgress(percent)` counts finished files.
+   */
+  exportZip(files, options = {}) {
+    const list = Array.from(files);
+    const client = this;
+
+    async function* entries() {
+      for (const [index, file] of list.entries()) {
+        const record = file && typeof file === 'object' ? file : { id: file };
+        const download = await client.downloadFile(record.id, {
+          stream: true,
+          signal: options.signal,
+          retry: options.retry,
+        });
+        const name = record.original_name || download.filename;
+
+        yield {
+          name: record.path ? `${record.path}/${name}` : name,
+          data: download.stream,
+          lastModified: download.lastModified || Date.parse(record.updated_at || record.created_at) || null,
+        };
+
+        if (options.onProgress) options.onProgress(Math.round(((index + 1) / list.length) * 100));
+      }
+    }
+
+    return createZipStream(entries());
+  }
+
+  /**
+   * Get user's folders using API key
+   */
+  async getFolders(options = {}) {
+    const params = new URLSearchParams();
+    if (options.parentId) params.append('parent_id', options.parentId);
+
+    const query = params.toString();
+    return this.request(`/public/folders${query ? '?' + query : ''}`, {
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Get single folder using API key
+   */
+  async getFolder(folderId) {
+    return this.request(`/public/folders/${folderId}`);
+  }
+
+  /**
+   * Create folder using API key
+   */
+  async createFolder(name, parentId = null) {
+    return this.request('/public/folders', {
+      method: 'POST',
+      body: {
+        name,
+        parent_id: parentId,
+      },
+    });
+  }
+
+  /**
+   * Rename folder using API key
+   */
+  async renameFolder(folderId, name) {
+    return this.request(`/public/folders/${folderId}`, {
+      method: 'PATCH',
+      body: { name },
+    });
+  }
+
+  /**
+   * Delete folder using API key
+   */
+  async deleteFolder(folderId) {
+    return this.request(`/public/folders/${folderId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Get storage and usage statistics using API key
+   */
+  async getStats(options = {}) {
+    return this.request('/public/stats', {
+      signal: options.signal,
     });
   }
 
   /**
    * Generate file URL for display
+   * `transformOptions` may be options, a preset name from the config,
+   * or `{ preset, ...overrides }`.
    */
   getFileUrl(fileId, transformOptions = null) {
     if (!fileId) return null;
 
-    if (!transformOptions) {
+    const options = resolveTransformOptions(transformOptions, this.presets);
+    if (!options) {
       return `${this.apiUrl}/api/transform/${fileId}`;
     }
 
-    const params = new URLSearchParams();
-    if (transformOptions.width) params.append('w', transformOptions.width);
-    if (transformOptions.height) params.append('h', transformOptions.height);
-    if (transformOptions.fit) params.append('fit', transformOptions.fit);
-    if (transformOptions.format) params.append('format', transformOptions.format);
-    if (transformOptions.quality) params.append('quality', transformOptions.quality);
-    if (transformOptions.blur) params.append('blur', transformOptions.blur);
-    if (transformOptions.grayscale) params.append('grayscale', 'true');
-    if (transformOptions.rotate) params.append('rotate', transformOptions.rotate);
-
+    const params = buildTransformParams(options);
     const query = params.toString();
     return `${this.apiUrl}/api/transform/${fileId}${query ? '?' + query : ''}`;
   }
 
+  /**
+   * Generate signed, expiring file URL using the `signUrls` config
+   * Signatures are requested from your backend in batches and reused
+   * until shortly before they expire. Resolves to { url, expiresAt, refreshAt }.
+   */
+  getSignedFileUrl(fileId, transformOptions = null) {
+    if (!this.signUrls) {
+      return Promise.reject(new DAMError('getSignedFileUrl requires a signUrls function in the config'));
+    }
+
+    const options = resolveTransformOptions(transformOptions, this.presets);
+    const params = normalizeTransformParams(buildTransformParams(options));
+    const key = `${fileId}?${params}`;
+    const cached = this.signedUrls.get(key);
+
+    if (cached && (cached.promise || cached.refreshAt > Date.now())) {
+      return cached.promise || Promise.resolve(cached);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.signatureQueue.push({ fileId, params, resolve, reject });
+      if (!this.signatureTimer) {
+        this.signatureTimer = setTimeout(() => this.flushSignatureQueue(), 0);
+      }
+    }).then((signed) => {
+      this.signedUrls.set(key, signed);
+      return signed;
+    }, (err) => {
+      this.signedUrls.delete(key);
+      throw err;
+    });
+
+    this.signedUrls.set(key, { promise });
+    return promise;
+  }
+
+  /**
+   * Drop signed URLs that have expired, so long sessions don't keep them all
+   */
+  pruneSignedUrls() {
+    const now = Date.now();
+    this.signedUrls.forEach((signed, key) => {
+      if (!signed.promise && signed.expiresAt <= now) this.signedUrls.delete(key);
+    });
+  }
+
+  /**
+   * Ask `signUrls` for all queued signatures
+   */
+  async flushSignatureQueue() {
+    this.signatureTimer = null;
+    const queue = this.signatureQueue.splice(0);
+    this.pruneSignedUrls();
+
+    for (let start = 0; start < queue.length; start += SIGNATURE_BATCH_SIZE) {
+      const batch = queue.slice(start, start + SIGNATURE_BATCH_SIZE);
+
+      try {
+        const signatures = await this.signUrls(
+          batch.map(({ fileId, params }) => ({ fileId, params }))
+        );
+
+        batch.forEach((item, index) => {
+          const signed = signatures && signatures[index];
+          if (!signed || !signed.signature || !signed.expires) {
+            item.reject(new DAMError(`No signature returned for file ${item.fileId}`));
+            return;
+          }
+
+          const query = new URLSearchParams(item.params);
+          query.append('expires', signed.expires);
+          query.append('signature', signed.signature);
+
+          const signedAt = Date.now();
+          const expiresAt = signed.expires * 1000;
+          item.resolve({
+            url: `${this.apiUrl}/api/transform/${item.fileId}?${query.toString()}`,
+            expiresAt,
+            refreshAt: expiresAt - Math.min(SIGNED_URL_REFRESH_MARGIN, (expiresAt - signedAt) / 2),
+          });
+        });
+      } catch (err) {
+        batch.forEach(item => item.reject(err));
+      }
+    }
+  }
+
   /**
    * Test API connection
    */
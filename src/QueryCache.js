@@ -0,0 +1,246 @@
+/**
+ * Query Cache - Shared request cache for DAM hooks
+ * Dedupes in-flight requests and keeps responses around for
+ * stale-while-revalidate reads across components. Optimistic changes
+ * are layered over cached data until they are settled or rolled back.
+ */
+class QueryCache {
+  constructor(options = {}) {
+    this.staleTime = options.staleTime ?? 0;
+    this.cacheTime = options.cacheTime ?? 5 * 60 * 1000;
+    this.entries = new Map();
+    this.optimistic = new Set();
+  }
+
+  /**
+   * Build cache key from endpoint and request options
+   */
+  static key(endpoint, params = {}) {
+    return JSON.stringify([endpoint, params]);
+  }
+
+  /**
+   * Get entry for key, creating it if needed
+   */
+  getEntry(key, endpoint) {
+    let entry = this.entries.get(key);
+
+    if (!entry) {
+      entry = {
+        key,
+        endpoint,
+        data: undefined,
+        error: null,
+        updatedAt: 0,
+        invalidated: false,
+        promise: null,
+        controller: null,
+        listeners: new Set(),
+        gcTimer: null,
+      };
+      this.entries.set(key, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Read entry without creating it
+   */
+  peek(key) {
+    return this.entries.get(key) || null;
+  }
+
+  /**
+   * Cached data for an entry with pending optimistic changes applied
+   */
+  getData(entry) {
+    let data = entry.data;
+    if (data === undefined) return data;
+
+    this.optimistic.forEach(layer => {
+      if (layer.endpoint === entry.endpoint) {
+        data = layer.apply(data, JSON.parse(entry.key)[1]);
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Check whether entry needs to be fetched again
+   */
+  isStale(entry, staleTime = this.staleTime) {
+    return entry.invalidated
+      || Boolean(entry.error)
+      || !entry.updatedAt
+      || Date.now() - entry.updatedAt >= staleTime;
+  }
+
+  /**
+   * Fetch data for key, sharing any request already in flight.
+   * Fresh cached data is returned without a request unless `force` is set.
+   * The fetcher gets an AbortSignal that fires once nobody is subscribed.
+   */
+  fetch(key, endpoint, fetcher, options = {}) {
+    const entry = this.getEntry(key, endpoint);
+    const staleTime = options.staleTime ?? this.staleTime;
+
+    if (entry.promise) {
+      return entry.promise;
+    }
+
+    if (!options.force && entry.data !== undefined && !this.isStale(entry, staleTime)) {
+      return Promise.resolve(entry.data);
+    }
+
+    const controller = new AbortController();
+
+    entry.error = null;
+    // This request answers the invalidation; one made while it runs sets the flag again
+    entry.invalidated = false;
+    entry.controller = controller;
+    entry.promise = Promise.resolve()
+      .then(() => fetcher(controller.signal))
+      .then((data) => {
+        entry.data = data;
+        entry.updatedAt = Date.now();
+        return data;
+      }, (err) => {
+        if (!controller.signal.aborted) {
+          entry.error = err;
+        }
+        throw err;
+      })
+      .finally(() => {
+        if (entry.controller === controller) {
+          entry.promise = null;
+          entry.controller = null;
+          this.notify(entry);
+        }
+      });
+
+    this.notify(entry);
+    return entry.promise;
+  }
+
+  /**
+   * Replace cached data for key and notify subscribers
+   */
+  setData(key, data) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    entry.data = typeof data === 'function' ? data(entry.data) : data;
+    entry.updatedAt = Date.now();
+    this.notify(entry);
+  }
+
+  /**
+   * Update cached data of every entry for an endpoint.
+   * `updater(data, params)` gets the raw cached data and request params;
+   * entries without data are skipped.
+   */
+  updateData(endpoint, updater) {
+    this.entries.forEach(entry => {
+      if (entry.endpoint !== endpoint || entry.data === undefined) return;
+
+      const data = updater(entry.data, JSON.parse(entry.key)[1]);
+      if (data !== entry.data) {
+        entry.data = data;
+        this.notify(entry);
+      }
+    });
+  }
+
+  /**
+   * Layer an optimistic change over every entry for an endpoint.
+   * `apply(data, params)` runs on top of whatever the server returns,
+   * refetches included, until the change is removed. Returns
+   * { update(apply), remove() }; update() without an argument re-applies
+   * the current change after its inputs changed.
+   */
+  addOptimistic(endpoint, apply) {
+    const layer = { endpoint, apply };
+    const notifyEndpoint = () => {
+      this.entries.forEach(entry => {
+        if (entry.endpoint === endpoint) this.notify(entry);
+      });
+    };
+
+    this.optimistic.add(layer);
+    notifyEndpoint();
+
+    return {
+      update: (nextApply) => {
+        if (nextApply) layer.apply = nextApply;
+        if (this.optimistic.has(layer)) notifyEndpoint();
+      },
+      remove: () => {
+        if (this.optimistic.delete(layer)) notifyEndpoint();
+      },
+    };
+  }
+
+  /**
+   * Subscribe to changes of an entry.
+   * The entry is dropped `cacheTime` ms after its last subscriber leaves.
+   */
+  subscribe(key, endpoint, listener, cacheTime = this.cacheTime) {
+    const entry = this.getEntry(key, endpoint);
+
+    clearTimeout(entry.gcTimer);
+    entry.gcTimer = null;
+    entry.listeners.add(listener);
+
+    return () => {
+      entry.listeners.delete(listener);
+
+      if (entry.listeners.size === 0) {
+        if (entry.controller) {
+          entry.controller.abort();
+          entry.promise = null;
+          entry.controller = null;
+        }
+        entry.gcTimer = setTimeout(() => {
+          if (entry.listeners.size === 0 && this.entries.get(key) === entry) {
+            this.entries.delete(key);
+          }
+        }, cacheTime);
+      }
+    };
+  }
+
+  /**
+   * Notify subscribers of an entry
+   */
+  notify(entry) {
+    entry.listeners.forEach(listener => listener(entry));
+  }
+
+  /**
+   * Mark entries as stale so mounted hooks refetch them.
+   * Matches the endpoint itself and, unless `exact` is set, every
+   * endpoint below it (e.g. '/public/files' and '/public/files/:id').
+   */
+  invalidate(endpoint, options = {}) {
+    this.entries.forEach(entry => {
+      const matches = entry.endpoint === endpoint
+        || (!options.exact && entry.endpoint.startsWith(`${endpoint}/`));
+
+      if (matches) {
+        entry.invalidated = true;
+        this.notify(entry);
+      }
+    });
+  }
+
+  /**
+   * Drop all cached entries
+   */
+  clear() {
+    this.entries.forEach(entry => clearTimeout(entry.gcTimer));
+    this.entries.clear();
+  }
+}
+
+export default QueryCache;
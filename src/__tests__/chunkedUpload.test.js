@@ -0,0 +1,192 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest, node */
+import http from 'http';
+import DAMClient from '../DAMClient.js';
+
+const CHUNK_SIZE = 4;
+const CONTENT = 'aaaabbbbcc';
+const SESSION_KEY = 'dam-upload:notes.txt:10:1700000000000:root';
+
+/**
+ * Mock DAM upload server
+ * Records every request and can fail chosen parts with a status.
+ */
+function startMockServer() {
+  const server = {
+    requests: [],
+    receivedParts: new Set(),
+    failures: {},
+    uploads: 0,
+  };
+
+  const readBody = request => new Promise((resolve) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  });
+
+  const send = (response, status, body) => {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  };
+
+  server.http = http.createServer(async (request, response) => {
+    const body = await readBody(request);
+    const path = request.url.replace(/^\/api/, '');
+    server.requests.push({ method: request.method, path, body });
+
+    if (request.method === 'POST' && path === '/public/uploads') {
+      server.uploads += 1;
+      server.receivedParts.clear();
+      send(response, 200, { data: { upload_id: `upload-${server.uploads}` } });
+      return;
+    }
+
+    const part = /^\/public\/uploads\/[\w-]+\/parts\/(\d+)$/.exec(path);
+    if (request.method === 'PUT' && part) {
+      const index = Number(part[1]);
+      const failures = server.failures[index];
+      if (failures && failures.count > 0) {
+        failures.count -= 1;
+        send(response, failures.status, { error: 'Part failed' });
+        return;
+      }
+      server.receivedParts.add(index);
+      send(response, 200, { data: { part: index } });
+      return;
+    }
+
+    if (request.method === 'POST' && /^\/public\/uploads\/[\w-]+\/complete$/.test(path)) {
+      send(response, 200, { data: { id: 'file-1', original_name: 'notes.txt' } });
+      return;
+    }
+
+    if (request.method === 'GET' && /^\/public\/uploads\/[\w-]+$/.test(path)) {
+      send(response, 200, { data: { received_parts: [...server.receivedParts] } });
+      return;
+    }
+
+    send(response, 404, { error: 'Not found' });
+  });
+
+  return new Promise((resolve) => {
+    server.http.listen(0, '127.0.0.1', () => {
+      server.url = `http://127.0.0.1:${server.http.address().port}`;
+      resolve(server);
+    });
+  });
+}
+
+function createStorage() {
+  const values = new Map();
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key),
+    get length() {
+      return values.size;
+    },
+  };
+}
+
+const createClient = url => new DAMClient({
+  apiUrl: url,
+  keyId: 'key',
+  keySecret: 'secret',
+  retry: { baseDelay: 1, maxDelay: 5 },
+});
+
+const createFile = () => new File([CONTENT], 'notes.txt', { type: 'text/plain', lastModified: 1700000000000 });
+
+const partRequests = server => server.requests.filter(request => request.method === 'PUT');
+
+describe('uploadFileChunked', () => {
+  let server;
+
+  beforeEach(async () => {
+    global.window = { localStorage: createStorage() };
+    server = await startMockServer();
+  });
+
+  afterEach(async () => {
+    delete global.window;
+    await new Promise(resolve => server.http.close(resolve));
+  });
+
+  it('starts a session, sends every part and completes the upload', async () => {
+    const progress = [];
+    const result = await createClient(server.url).uploadFileChunked(createFile(), {
+      chunkSize: CHUNK_SIZE,
+      folderId: 'folder-1',
+      onProgress: value => progress.push(value),
+    });
+
+    expect(result.data.id).toBe('file-1');
+    expect(server.requests.map(request => `${request.method} ${request.path}`)).toEqual([
+      'POST /public/uploads',
+      'PUT /public/uploads/upload-1/parts/0',
+      'PUT /public/uploads/upload-1/parts/1',
+      'PUT /public/uploads/upload-1/parts/2',
+      'POST /public/uploads/upload-1/complete',
+    ]);
+
+    expect(JSON.parse(server.requests[0].body)).toMatchObject({
+      filename: 'notes.txt',
+      size: CONTENT.length,
+      mime_type: 'text/plain',
+      chunk_size: CHUNK_SIZE,
+      total_parts: 3,
+      folder_id: 'folder-1',
+    });
+    const parts = partRequests(server);
+    expect(parts[0].body).toContain('aaaa');
+    expect(parts[1].body).toContain('bbbb');
+    expect(parts[2].body).toContain('cc');
+    expect(parts[2].body).not.toContain('bbbb');
+    expect(JSON.parse(server.requests[4].body)).toEqual({ total_parts: 3 });
+
+    expect(progress).toEqual([0, 40, 80, 100]);
+    expect(window.localStorage.length).toBe(0);
+  });
+
+  it('retries a part that fails', async () => {
+    server.failures[1] = { status: 500, count: 1 };
+
+    await createClient(server.url).uploadFileChunked(createFile(), { chunkSize: CHUNK_SIZE });
+
+    expect(partRequests(server).map(request => request.path)).toEqual([
+      '/public/uploads/upload-1/parts/0',
+      '/public/uploads/upload-1/parts/1',
+      '/public/uploads/upload-1/parts/1',
+      '/public/uploads/upload-1/parts/2',
+    ]);
+    expect([...server.receivedParts].sort()).toEqual([0, 1, 2]);
+  });
+
+  it('resumes from the received parts after the session is reloaded', async () => {
+    server.failures[1] = { status: 503, count: 1 };
+
+    await expect(createClient(server.url).uploadFileChunked(createFile(), {
+      chunkSize: CHUNK_SIZE,
+      maxRetries: 0,
+    })).rejects.toMatchObject({ status: 503 });
+
+    expect(JSON.parse(window.localStorage.getItem(SESSION_KEY))).toEqual({ uploadId: 'upload-1', chunkSize: CHUNK_SIZE });
+
+    // A new client stands in for a page reload; only the session in storage survives
+    server.requests = [];
+    const result = await createClient(server.url).uploadFileChunked(createFile(), { chunkSize: CHUNK_SIZE });
+
+    expect(result.data.id).toBe('file-1');
+    expect(server.requests.map(request => `${request.method} ${request.path}`)).toEqual([
+      'GET /public/uploads/upload-1',
+      'PUT /public/uploads/upload-1/parts/1',
+      'PUT /public/uploads/upload-1/parts/2',
+      'POST /public/uploads/upload-1/complete',
+    ]);
+    expect(server.uploads).toBe(1);
+    expect(window.localStorage.getItem(SESSION_KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest, node */
+import DAMClient from '../DAMClient.js';
+import { AbortError } from '../errors.js';
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+const createClient = () => new DAMClient({
+  apiUrl: 'http://dam.test',
+  keyId: 'key',
+  keySecret: 'secret',
+  dedupe: true,
+  retry: false,
+});
+
+/**
+ * Stub fetch: hash lookups get `lookup()`, uploads echo their files
+ */
+function stubFetch(lookup) {
+  const calls = [];
+  global.fetch = jest.fn(async (url, init) => {
+    const path = url.replace('http://dam.test/api', '');
+    calls.push({ path, body: init.body });
+    if (path.startsWith('/public/files/by-hash/')) return lookup();
+    const files = init.body.getAll('file').concat(init.body.getAll('files'));
+    return jsonResponse(200, { data: files.length === 1 && path === '/public/single'
+      ? { id: 'new', name: files[0].name }
+      : files.map(file => ({ id: `new-${file.name}` })) });
+  });
+  return calls;
+}
+
+describe('upload deduplication', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it.each([
+    ['a missing endpoint', () => jsonResponse(405, { error: 'Method not allowed' })],
+    ['a server error', () => jsonResponse(500, { error: 'Server error' })],
+    ['a network error', () => Promise.reject(new TypeError('fetch failed'))],
+  ])('uploads normally after %s on the hash lookup', async (name, lookup) => {
+    const calls = stubFetch(lookup);
+    const file = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+
+    const result = await createClient().uploadFile(file, { sha256: 'abc123' });
+
+    expect(result.data).toEqual({ id: 'new', name: 'hello.txt' });
+    expect(calls.map(call => call.path)).toEqual(['/public/files/by-hash/abc123', '/public/single']);
+    expect(calls[1].body.get('sha256')).toBeNull();
+  });
+
+  it('keeps uploading the other files of a batch when lookups fail', async () => {
+    const calls = stubFetch(() => jsonResponse(501, { error: 'Not implemented' }));
+    const files = [
+      new File(['one'], 'one.txt', { type: 'text/plain' }),
+      new File(['two'], 'two.txt', { type: 'text/plain' }),
+    ];
+
+    const result = await createClient().uploadMultipleFiles(files);
+
+    expect(result.data).toEqual([{ id: 'new-one.txt' }, { id: 'new-two.txt' }]);
+    const upload = calls.find(call => call.path === '/public/multiple');
+    expect(upload.body.getAll('files')).toHaveLength(2);
+    expect(upload.body.get('sha256')).toBeNull();
+  });
+
+  it('skips the upload when the server has the file', async () => {
+    const calls = stubFetch(() => jsonResponse(200, { data: { id: 'existing', folder_id: null } }));
+    const file = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+
+    const result = await createClient().uploadFile(file, { sha256: 'abc123' });
+
+    expect(result).toEqual({ data: { id: 'existing', folder_id: null }, deduplicated: true });
+    expect(calls).toHaveLength(1);
+  });
+
+  it('still stops when the upload is cancelled during the lookup', async () => {
+    const controller = new AbortController();
+    stubFetch(() => {
+      controller.abort();
+      return Promise.reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+    });
+    const file = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+
+    await expect(createClient().uploadFile(file, { sha256: 'abc123', signal: controller.signal }))
+      .rejects.toBeInstanceOf(AbortError);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
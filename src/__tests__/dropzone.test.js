@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest, node */
+import React from 'react';
+import { act, create } from 'react-test-renderer';
+import { DAMProvider, useDropzone } from '../index.js';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+const createFile = name => new File(['hello'], name, { type: 'text/plain' });
+
+describe('useDropzone', () => {
+  let renderer;
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    if (renderer) act(() => renderer.unmount());
+    renderer = null;
+    global.fetch = originalFetch;
+  });
+
+  async function renderDropzone(options) {
+    const state = {};
+    function Dropzone() {
+      state.dropzone = useDropzone(options);
+      return null;
+    }
+
+    await act(async () => {
+      renderer = create(
+        <DAMProvider config={{ apiUrl: 'http://dam.test', keyId: 'key', keySecret: 'secret', retry: false, cache: { cacheTime: 0 } }}>
+          <Dropzone />
+        </DAMProvider>
+      );
+    });
+    return state;
+  }
+
+  it('creates a dropped folder once when two drops overlap', async () => {
+    const folders = [];
+    global.fetch = jest.fn(async (url, init) => {
+      if (!url.includes('/public/folders')) return jsonResponse(500, { error: 'Not under test' });
+      if (init.method === 'POST') {
+        await sleep(20);
+        const folder = { id: `folder-${folders.length + 1}`, ...JSON.parse(init.body) };
+        folders.push(folder);
+        return jsonResponse(200, { data: folder });
+      }
+      return jsonResponse(200, { data: [...folders] });
+    });
+
+    const state = await renderDropzone({ folderId: 'root' });
+
+    await act(async () => {
+      await Promise.all([
+        state.dropzone.addFiles([{ file: createFile('a.txt'), path: 'photos' }]),
+        state.dropzone.addFiles([{ file: createFile('b.txt'), path: 'photos' }]),
+      ]);
+      await sleep(60);
+    });
+
+    const creations = global.fetch.mock.calls.filter(([, init]) => init.method === 'POST' && init.body.includes('photos'));
+    expect(creations).toHaveLength(1);
+    expect(folders).toEqual([{ id: 'folder-1', name: 'photos', parent_id: 'root' }]);
+  });
+
+  it('counts files from earlier drops against maxFiles', async () => {
+    const state = await renderDropzone({ autoUpload: false, validation: { maxFiles: 2 } });
+
+    let added;
+    await act(async () => {
+      await state.dropzone.addFiles([createFile('a.txt'), createFile('b.txt')]);
+      added = await state.dropzone.addFiles([createFile('c.txt')]);
+    });
+
+    expect(state.dropzone.items.map(item => item.status)).toEqual(['ready', 'ready', 'rejected']);
+    expect(added[0].reasons).toEqual([expect.objectContaining({ code: 'too-many-files', limit: 2, actual: 3 })]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest, node */
+import React from 'react';
+import { act, create } from 'react-test-renderer';
+import DAMClient from '../DAMClient.js';
+import { AbortError } from '../errors.js';
+import { DAMProvider, useFileOperations, useFiles } from '../index.js';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+const createClient = () => new DAMClient({ apiUrl: 'http://dam.test', keyId: 'key', keySecret: 'secret' });
+
+describe('renameFile', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('retries when asked to', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse(503, { error: 'Unavailable' }))
+      .mockResolvedValueOnce(jsonResponse(200, { data: { id: 7, original_name: 'new.png' } }));
+
+    const result = await createClient().renameFile(7, 'new.png', { retry: { baseDelay: 1, maxDelay: 5 } });
+
+    expect(result.data.original_name).toBe('new.png');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[0][0]).toBe('http://dam.test/api/public/files/7');
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ original_name: 'new.png' });
+  });
+
+  it('passes the signal to the request', async () => {
+    global.fetch = jest.fn((url, init) => new Promise((resolve, reject) => {
+      const abort = () => reject(new DOMException('Aborted', 'AbortError'));
+      if (init.signal.aborted) abort();
+      init.signal.addEventListener('abort', abort);
+    }));
+    const controller = new AbortController();
+
+    const rename = createClient().renameFile(7, 'new.png', { signal: controller.signal });
+    controller.abort();
+
+    await expect(rename).rejects.toBeInstanceOf(AbortError);
+  });
+});
+
+describe('useFileOperations', () => {
+  let renderer;
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    if (renderer) act(() => renderer.unmount());
+    renderer = null;
+    global.fetch = originalFetch;
+  });
+
+  it('hides a file being deleted when its id is given as a string', async () => {
+    let finishDelete;
+    global.fetch = jest.fn((url, init) => {
+      if (init.method === 'DELETE') {
+        return new Promise((resolve) => {
+          finishDelete = () => resolve(jsonResponse(200, { success: true }));
+        });
+      }
+      return Promise.resolve(jsonResponse(200, { data: [{ id: 1 }, { id: 2 }] }));
+    });
+
+    const state = {};
+    function Files() {
+      state.list = useFiles();
+      state.operations = useFileOperations();
+      return null;
+    }
+
+    await act(async () => {
+      renderer = create(
+        <DAMProvider config={{ apiUrl: 'http://dam.test', keyId: 'key', keySecret: 'secret', retry: false, cache: { cacheTime: 0 } }}>
+          <Files />
+        </DAMProvider>
+      );
+    });
+    await act(() => sleep(10));
+    expect(state.list.files).toEqual([{ id: 1 }, { id: 2 }]);
+
+    let deleting;
+    await act(async () => {
+      deleting = state.operations.deleteFile('1');
+      await sleep(10);
+    });
+    expect(state.list.files).toEqual([{ id: 2 }]);
+
+    await act(async () => {
+      finishDelete();
+      await deleting;
+    });
+  });
+});
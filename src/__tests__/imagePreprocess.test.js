@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest, node */
+import { preprocessImage } from '../imagePreprocess.js';
+
+// Little-endian TIFF block with one IFD entry pointing at GPS data
+const EXIF_WITH_GPS = [
+  0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00,
+  0x01, 0x00,
+  0x25, 0x88, 0x04, 0x00, 0x01, 0x00, 0x00, 0x00, 0x1A, 0x00, 0x00, 0x00,
+  0x00, 0x00, 0x00, 0x00,
+];
+
+const ascii = text => [...text].map(char => char.charCodeAt(0));
+const uint32 = (value, little) => {
+  const bytes = [value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+  return little ? bytes.reverse() : bytes;
+};
+
+const pngChunk = (type, data) => [...uint32(data.length), ...ascii(type), ...data, 0, 0, 0, 0];
+const riffChunk = (type, data) => [...ascii(type), ...uint32(data.length, true), ...data, ...(data.length & 1 ? [0] : [])];
+
+function createPng(chunks) {
+  return new File([new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, ...chunks])], 'map.png', { type: 'image/png' });
+}
+
+function createWebp(chunks) {
+  const body = [...ascii('WEBP'), ...chunks];
+  return new File([new Uint8Array([...ascii('RIFF'), ...uint32(body.length, true), ...body])], 'map.webp', { type: 'image/webp' });
+}
+
+const bytesOf = async file => [...new Uint8Array(await file.arrayBuffer())];
+
+const containsAscii = (bytes, text) => String.fromCharCode(...bytes).includes(text);
+
+describe('preprocessImage', () => {
+  beforeEach(() => {
+    global.createImageBitmap = jest.fn().mockResolvedValue({ width: 40, height: 30, close() {} });
+  });
+
+  afterEach(() => {
+    delete global.createImageBitmap;
+  });
+
+  it('removes the eXIf chunk of a PNG it does not re-encode', async () => {
+    const ihdr = pngChunk('IHDR', new Array(13).fill(1));
+    const idat = pngChunk('IDAT', [7, 7, 7]);
+    const iend = pngChunk('IEND', []);
+    const file = createPng([...ihdr, ...pngChunk('eXIf', EXIF_WITH_GPS), ...idat, ...iend]);
+
+    const { file: output } = await preprocessImage(file, { maxDimension: 100 });
+
+    expect(output).not.toBe(file);
+    expect(await bytesOf(output)).toEqual([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, ...ihdr, ...idat, ...iend]);
+    expect(output.name).toBe('map.png');
+  });
+
+  it('removes EXIF and XMP chunks of a WebP and updates its header', async () => {
+    const vp8x = riffChunk('VP8X', [0x0C, 0, 0, 0, 39, 0, 0, 29, 0, 0]);
+    const image = riffChunk('VP8 ', [1, 2, 3]);
+    const file = createWebp([...vp8x, ...image, ...riffChunk('EXIF', EXIF_WITH_GPS), ...riffChunk('XMP ', ascii('<x:xmpmeta/>'))]);
+
+    const bytes = await bytesOf((await preprocessImage(file, { maxDimension: 100 })).file);
+    const view = new DataView(new Uint8Array(bytes).buffer);
+
+    expect(view.getUint32(4, true)).toBe(bytes.length - 8);
+    expect(bytes[20]).toBe(0);
+    expect(bytes.slice(12)).toEqual([...riffChunk('VP8X', [0, 0, 0, 0, 39, 0, 0, 29, 0, 0]), ...image]);
+  });
+
+  it('keeps PNG and WebP files without GPS, or when stripGps is off, unchanged', async () => {
+    const plain = createPng([...pngChunk('IHDR', new Array(13).fill(1)), ...pngChunk('IEND', [])]);
+    expect((await preprocessImage(plain)).file).toBe(plain);
+
+    const tagged = createWebp([...riffChunk('VP8 ', [1, 2]), ...riffChunk('EXIF', EXIF_WITH_GPS)]);
+    expect((await preprocessImage(tagged, { stripGps: false })).file).toBe(tagged);
+  });
+
+  it('reads only the start of a JPEG to find its metadata', async () => {
+    const exif = [...ascii('Exif\0\0'), ...EXIF_WITH_GPS];
+    const app1 = [0xFF, 0xE1, 0, exif.length + 2, ...exif];
+    const scan = [0xFF, 0xDA, 0, 4, 1, 2, ...new Array(200 * 1024).fill(0x55), 0xFF, 0xD9];
+    const file = new File([new Uint8Array([0xFF, 0xD8, ...app1, ...scan])], 'photo.jpg', { type: 'image/jpeg' });
+    const read = jest.spyOn(file, 'arrayBuffer');
+    const slice = jest.spyOn(file, 'slice');
+
+    const { file: output } = await preprocessImage(file);
+
+    expect(read).not.toHaveBeenCalled();
+    expect(slice).toHaveBeenCalledWith(0, 128 * 1024);
+    const bytes = await bytesOf(output);
+    expect(bytes.length).toBe(file.size - app1.length);
+    expect(containsAscii(bytes.slice(0, 64), 'Exif')).toBe(false);
+  });
+});
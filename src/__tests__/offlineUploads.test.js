@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest, node */
+import React from 'react';
+import { act, create } from 'react-test-renderer';
+import * as offlineUploads from '../offlineUploads.js';
+import { DAMProvider, useFileUpload } from '../index.js';
+
+// IndexedDB isn't available here; keep stored uploads in memory
+jest.mock('../offlineUploads.js', () => {
+  const stored = [];
+  return {
+    stored,
+    isOffline: jest.fn(() => false),
+    savePendingUpload: jest.fn(async (file, options) => {
+      const record = { id: `pending-${stored.length + 1}`, file, name: file.name, type: file.type, options, status: 'pending', attempts: 0 };
+      stored.push(record);
+      return record;
+    }),
+    listPendingUploads: jest.fn(async () => [...stored]),
+    updatePendingUpload: jest.fn(async () => {}),
+    deletePendingUpload: jest.fn(async (id) => {
+      stored.splice(stored.findIndex(record => record.id === id), 1);
+    }),
+    subscribePendingUploads: jest.fn(() => () => {}),
+  };
+});
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('offline uploads', () => {
+  let renderer;
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    global.window = new EventTarget();
+    global.fetch = jest.fn().mockResolvedValue(new Response(JSON.stringify({ data: { id: 5 } }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }));
+  });
+
+  afterEach(() => {
+    if (renderer) act(() => renderer.unmount());
+    renderer = null;
+    delete global.window;
+    global.fetch = originalFetch;
+    offlineUploads.stored.length = 0;
+    offlineUploads.isOffline.mockReturnValue(false);
+  });
+
+  it('replays uploads stored through the hook option when the connection returns', async () => {
+    offlineUploads.isOffline.mockReturnValue(true);
+
+    const state = {};
+    function Uploader() {
+      state.upload = useFileUpload({ offline: true, optimistic: false });
+      return null;
+    }
+
+    await act(async () => {
+      renderer = create(
+        <DAMProvider config={{ apiUrl: 'http://dam.test', keyId: 'key', keySecret: 'secret', retry: false, cache: { cacheTime: 0 } }}>
+          <Uploader />
+        </DAMProvider>
+      );
+    });
+
+    let record;
+    await act(async () => {
+      record = await state.upload.upload(new File(['hello'], 'notes.txt', { type: 'text/plain' }), { folderId: 'folder-1' });
+    });
+    expect(record).toMatchObject({ pending: true, name: 'notes.txt' });
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    offlineUploads.isOffline.mockReturnValue(false);
+    await act(async () => {
+      window.dispatchEvent(new Event('online'));
+      await sleep(20);
+    });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][0]).toBe('http://dam.test/api/public/single');
+    expect(offlineUploads.stored).toEqual([]);
+  });
+});
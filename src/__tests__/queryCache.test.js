@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest, node */
+import React from 'react';
+import { act, create } from 'react-test-renderer';
+import QueryCache from '../QueryCache.js';
+import { DAMProvider, useDAMCache, useFiles, useInfiniteFiles } from '../index.js';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+describe('QueryCache', () => {
+  it('fetches an invalidated entry again once its data is read', async () => {
+    const cache = new QueryCache();
+    const key = QueryCache.key('/public/files', {});
+    const fetcher = jest.fn().mockResolvedValue({ data: [] });
+
+    await cache.fetch(key, '/public/files', fetcher);
+    await cache.fetch(key, '/public/files', fetcher, { staleTime: 60000 });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    cache.invalidate('/public/files');
+    await cache.fetch(key, '/public/files', fetcher, { staleTime: 60000 });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('useCachedQuery invalidation', () => {
+  let renderer;
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    if (renderer) act(() => renderer.unmount());
+    renderer = null;
+    global.fetch = originalFetch;
+  });
+
+  it('does not keep refetching when the invalidated refetch fails', async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(200, { data: [{ id: 1 }] }));
+
+    const state = {};
+    function Files() {
+      state.list = useFiles();
+      state.cache = useDAMCache();
+      return null;
+    }
+
+    await act(async () => {
+      renderer = create(
+        <DAMProvider config={{ apiUrl: 'http://dam.test', keyId: 'key', keySecret: 'secret', retry: false, cache: { cacheTime: 0 } }}>
+          <Files />
+        </DAMProvider>
+      );
+    });
+    await act(() => sleep(10));
+    expect(state.list.files).toEqual([{ id: 1 }]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    global.fetch.mockResolvedValue(jsonResponse(500, { error: 'Server error' }));
+    await act(async () => {
+      state.cache.invalidate('/public/files');
+      await sleep(100);
+    });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(state.list.error).toBe('Server error');
+    expect(state.list.files).toEqual([{ id: 1 }]);
+  });
+});
+
+describe('useInfiniteFiles', () => {
+  let renderer;
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    if (renderer) act(() => renderer.unmount());
+    renderer = null;
+    global.fetch = originalFetch;
+  });
+
+  it('drops a next page that lands after the list was refetched', async () => {
+    let version = 1;
+    global.fetch = jest.fn(async (url) => {
+      if (new URL(url).searchParams.get('offset') === '2') {
+        // Slow next page that answers for the list as it was before the refetch
+        await sleep(50);
+        return jsonResponse(200, { data: [{ id: 3 }, { id: 4 }], pagination: { has_more: false } });
+      }
+      return jsonResponse(200, { data: [{ id: 1, version }, { id: 2, version }], pagination: { has_more: true } });
+    });
+
+    const state = {};
+    function Files() {
+      state.list = useInfiniteFiles({ limit: 2 });
+      state.cache = useDAMCache();
+      return null;
+    }
+
+    await act(async () => {
+      renderer = create(
+        <DAMProvider config={{ apiUrl: 'http://dam.test', keyId: 'key', keySecret: 'secret', retry: false, cache: { cacheTime: 0 } }}>
+          <Files />
+        </DAMProvider>
+      );
+    });
+    await act(() => sleep(10));
+    expect(state.list.files).toHaveLength(2);
+
+    await act(async () => {
+      const next = state.list.fetchNextPage();
+      await sleep(5);
+      version = 2;
+      state.cache.invalidate('/public/files');
+      await next;
+      await sleep(60);
+    });
+
+    expect(state.list.pages).toHaveLength(1);
+    expect(state.list.files).toEqual([{ id: 1, version: 2 }, { id: 2, version: 2 }]);
+    expect(state.list.error).toBeNull();
+    expect(state.list.isFetchingNextPage).toBe(false);
+  });
+});
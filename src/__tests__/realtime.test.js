@@ -0,0 +1,263 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest, node */
+import http from 'http';
+import React from 'react';
+import { act, create } from 'react-test-renderer';
+import DAMClient from '../DAMClient.js';
+import RealtimeChannel, { parseEventStream } from '../realtime.js';
+import { DAMProvider, useFiles, useFile } from '../index.js';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const FILES = [
+  { id: 1, original_name: 'logo.png', mime_type: 'image/png', folder_id: null },
+  { id: 2, original_name: 'brief.pdf', mime_type: 'application/pdf', folder_id: null },
+];
+
+/**
+ * Mock DAM event server
+ * Each request to the events endpoint is kept open as an SSE stream
+ * until the test ends it; `eventStatus` makes it answer with an error
+ * instead. Also serves the file list and single files.
+ */
+function startEventServer() {
+  const server = {
+    streams: [],
+    requests: [],
+    eventStatus: 200,
+  };
+
+  server.http = http.createServer((request, response) => {
+    const path = request.url.replace(/^\/api/, '');
+    server.requests.push({ path, headers: request.headers });
+
+    if (path === '/public/events') {
+      if (server.eventStatus !== 200) {
+        response.writeHead(server.eventStatus, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ error: 'No event stream' }));
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' });
+      response.write(': connected\n\n');
+      server.streams.push({ headers: request.headers, response });
+      return;
+    }
+
+    const file = /^\/public\/files\/(\d+)$/.exec(path);
+    const body = file
+      ? { data: FILES.find(item => item.id === Number(file[1])) }
+      : { data: FILES, pagination: { total: FILES.length } };
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  });
+
+  server.send = text => server.streams[server.streams.length - 1].response.write(text);
+  server.drop = () => server.streams[server.streams.length - 1].response.end();
+
+  return new Promise((resolve) => {
+    server.http.listen(0, '127.0.0.1', () => {
+      server.url = `http://127.0.0.1:${server.http.address().port}`;
+      resolve(server);
+    });
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(check, timeout = 2000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await sleep(5);
+  }
+}
+
+// Like waitFor, but lets React render between checks
+async function waitForRender(check, timeout = 2000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for render');
+    }
+    await act(() => sleep(5));
+  }
+}
+
+/**
+ * Stand-in WebSocket that records what the channel does with it
+ */
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(message) {
+    this.sent.push(JSON.parse(message));
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+FakeWebSocket.instances = [];
+
+const createClient = url => new DAMClient({ apiUrl: url, keyId: 'key', keySecret: 'secret', retry: false });
+
+describe('parseEventStream', () => {
+  it('reads event types, ids, retry and multi-line data', () => {
+    const events = [];
+    const rest = parseEventStream(
+      ': comment\n\n'
+      + 'id: 7\nevent: file.created\ndata: {"id":1}\n\n'
+      + 'data: line one\r\ndata: line two\r\n\r\n'
+      + 'retry: 2500\nid: 8\n\n'
+      + 'event: file.deleted\ndata: {"id"',
+      event => events.push(event)
+    );
+
+    expect(events).toEqual([
+      { type: 'message', data: '', id: null, retry: null },
+      { type: 'file.created', data: '{"id":1}', id: '7', retry: null },
+      { type: 'message', data: 'line one\nline two', id: null, retry: null },
+      { type: 'message', data: '', id: '8', retry: 2500 },
+    ]);
+    expect(rest).toBe('event: file.deleted\ndata: {"id"');
+  });
+});
+
+describe('RealtimeChannel', () => {
+  let server;
+  let channel;
+
+  beforeEach(async () => {
+    server = await startEventServer();
+    FakeWebSocket.instances = [];
+  });
+
+  afterEach(async () => {
+    if (channel) channel.close();
+    channel = null;
+    delete global.WebSocket;
+    server.http.closeAllConnections();
+    await new Promise(resolve => server.http.close(resolve));
+  });
+
+  it('emits DAM events from the stream with their ids', async () => {
+    const events = [];
+    channel = new RealtimeChannel(createClient(server.url));
+    channel.subscribe(event => events.push(event));
+    channel.connect();
+
+    await waitFor(() => channel.status === 'open');
+    expect(server.streams[0].headers['x-api-key-id']).toBe('key');
+    expect(server.streams[0].headers.accept).toBe('text/event-stream');
+
+    server.send('id: 1\nevent: file.created\ndata: {"id":5,"original_name":"new.png"}\n\n');
+    server.send('id: 2\ndata: {"type":"folder.deleted","data":{"id":9}}\n\n');
+    await waitFor(() => events.length === 2);
+
+    expect(events).toEqual([
+      { type: 'file.created', data: { id: 5, original_name: 'new.png' }, id: '1' },
+      { type: 'folder.deleted', data: { id: 9 }, id: '2' },
+    ]);
+  });
+
+  it('reconnects after the retry delay and resumes from the last event id', async () => {
+    const statuses = [];
+    channel = new RealtimeChannel(createClient(server.url), { reconnect: { baseDelay: 1, maxDelay: 10000 } });
+    channel.onStatusChange(status => statuses.push(status));
+    channel.connect();
+    await waitFor(() => channel.status === 'open');
+
+    server.send('retry: 200\n\nid: 41\nevent: file.updated\ndata: {"id":1}\n\n');
+    await waitFor(() => channel.lastEventId === '41');
+    expect(channel.serverRetry).toBe(200);
+
+    const droppedAt = Date.now();
+    server.drop();
+    await waitFor(() => server.streams.length === 2 && channel.status === 'open');
+
+    // The server's retry replaces the 1 ms base delay; jitter keeps at least half of it
+    expect(Date.now() - droppedAt).toBeGreaterThanOrEqual(100);
+    expect(server.streams[1].headers['last-event-id']).toBe('41');
+    expect(statuses).toEqual(['connecting', 'open', 'reconnecting', 'open']);
+  });
+
+  it.each([404, 406])('falls back to a WebSocket when the stream answers %i', async (status) => {
+    server.eventStatus = status;
+    global.WebSocket = FakeWebSocket;
+    const events = [];
+
+    channel = new RealtimeChannel(createClient(server.url));
+    channel.subscribe(event => events.push(event));
+    channel.lastEventId = '12';
+    channel.connect();
+
+    await waitFor(() => FakeWebSocket.instances.length === 1);
+    const socket = FakeWebSocket.instances[0];
+    expect(socket.url).toBe(`${server.url.replace(/^http/, 'ws')}/api/public/events?last_event_id=12`);
+
+    socket.onopen();
+    expect(channel.status).toBe('open');
+    expect(socket.sent).toEqual([
+      { type: 'auth', headers: { 'X-API-Key-ID': 'key', 'X-API-Key-Secret': 'secret' } },
+    ]);
+
+    socket.onmessage({ data: JSON.stringify({ type: 'file.deleted', data: { id: 3 }, id: 13 }) });
+    expect(events).toEqual([{ type: 'file.deleted', data: { id: 3 }, id: 13 }]);
+    expect(channel.lastEventId).toBe('13');
+  });
+});
+
+describe('realtime cache updates', () => {
+  let server;
+  let renderer;
+
+  beforeEach(async () => {
+    server = await startEventServer();
+  });
+
+  afterEach(async () => {
+    if (renderer) act(() => renderer.unmount());
+    renderer = null;
+    server.http.closeAllConnections();
+    await new Promise(resolve => server.http.close(resolve));
+  });
+
+  it('patches mounted useFiles and useFile data without refetching', async () => {
+    const state = {};
+    function Files() {
+      state.list = useFiles();
+      state.file = useFile(1);
+      return null;
+    }
+
+    await act(async () => {
+      renderer = create(
+        <DAMProvider config={{ apiUrl: server.url, keyId: 'key', keySecret: 'secret', realtime: true, cache: { cacheTime: 0 } }}>
+          <Files />
+        </DAMProvider>
+      );
+    });
+    await waitForRender(() => server.streams.length === 1 && state.list.files.length === 2 && state.file.file);
+    const fetches = server.requests.length;
+
+    server.send('id: 1\nevent: file.updated\ndata: {"id":1,"original_name":"renamed.png"}\n\n');
+    server.send('id: 2\nevent: file.created\ndata: {"id":3,"original_name":"new.png","mime_type":"image/png","folder_id":null}\n\n');
+    server.send('id: 3\nevent: file.deleted\ndata: {"id":2}\n\n');
+    await waitForRender(() => state.list.files.length === 2 && state.list.files[0].id === 3);
+
+    expect(state.list.files.map(file => [file.id, file.original_name])).toEqual([
+      [3, 'new.png'],
+      [1, 'renamed.png'],
+    ]);
+    expect(state.file.file.original_name).toBe('renamed.png');
+    expect(server.requests.length).toBe(fetches);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest, node */
+import React from 'react';
+import { act, create } from 'react-test-renderer';
+import { DAMProvider, useFileUrl, ValidationError, AuthenticationError, RateLimitError } from '../index.js';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('useFileUrl signing', () => {
+  let renderer;
+
+  afterEach(() => {
+    if (renderer) act(() => renderer.unmount());
+    renderer = null;
+  });
+
+  async function renderUrl(signUrls, onError) {
+    const state = {};
+    function Url() {
+      state.url = useFileUrl(7, { width: 320 }, { onError });
+      return null;
+    }
+
+    await act(async () => {
+      renderer = create(
+        <DAMProvider config={{ apiUrl: 'http://dam.test', keyId: 'key', keySecret: 'secret', signUrls, cache: { cacheTime: 0 } }}>
+          <Url />
+        </DAMProvider>
+      );
+    });
+    return state;
+  }
+
+  it.each([
+    ['ValidationError', new ValidationError('Width not allowed', { status: 422 })],
+    ['AuthenticationError', new AuthenticationError('Not signed in', { status: 401 })],
+  ])('stops at a %s and reports it', async (name, error) => {
+    const signUrls = jest.fn().mockRejectedValue(error);
+    const onError = jest.fn();
+
+    const state = await renderUrl(signUrls, onError);
+    await act(() => sleep(50));
+
+    expect(signUrls).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith(error);
+    expect(state.url).toBeNull();
+  });
+
+  it('backs off and signs again after a 429', async () => {
+    const signUrls = jest.fn()
+      .mockRejectedValueOnce(new RateLimitError('Slow down', { status: 429, retryAfter: 0.01 }))
+      .mockResolvedValue([{ expires: Math.floor(Date.now() / 1000) + 3600, signature: 'abc' }]);
+    const onError = jest.fn();
+
+    const state = await renderUrl(signUrls, onError);
+    await act(() => sleep(50));
+
+    expect(signUrls).toHaveBeenCalledTimes(2);
+    expect(onError).not.toHaveBeenCalled();
+    expect(state.url).toMatch(/^http:\/\/dam\.test\/api\/transform\/7\?.*signature=abc/);
+  });
+});
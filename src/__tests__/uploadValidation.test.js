@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest, node */
+import { sniffMimeType, validateFile } from '../uploadValidation.js';
+
+const PNG_BYTES = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 0x0D];
+const JPEG_BYTES = [0xFF, 0xD8, 0xFF, 0xE0, 0, 0x10];
+const EXE_BYTES = [0x4D, 0x5A, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00];
+
+const createFile = (bytes, name, type) => new File([new Uint8Array(bytes)], name, { type });
+const codes = reasons => reasons.map(reason => reason.code);
+
+describe('validateFile accept rules', () => {
+  it('rejects an executable named and typed as a PNG', async () => {
+    const file = createFile(EXE_BYTES, 'cat.png', 'image/png');
+
+    expect(await sniffMimeType(file)).toBeNull();
+    expect(codes(await validateFile(file, { accept: ['image/*'] }))).toEqual(['type-mismatch']);
+    expect(codes(await validateFile(file, { accept: ['.png'] }))).toEqual(['type-mismatch']);
+  });
+
+  it.each([['image/*'], ['.jpg'], ['image/jpeg']])('rejects a text file posing as a JPEG for %s', async (rule) => {
+    const file = new File(['just some text'], 'photo.jpg', { type: 'image/jpeg' });
+
+    const reasons = await validateFile(file, { accept: [rule] });
+    expect(codes(reasons)).toEqual(['type-mismatch']);
+    expect(reasons[0].message).toBe('photo.jpg claims to be image/jpeg but its content is not recognised');
+  });
+
+  it('rejects a text file with a JPEG extension and no type', async () => {
+    const file = new File(['just some text'], 'photo.jpg', { type: '' });
+
+    expect(codes(await validateFile(file, { accept: ['image/*'] }))).toEqual(['type-mismatch']);
+  });
+
+  it('accepts files whose content matches the claim', async () => {
+    expect(await validateFile(createFile(PNG_BYTES, 'cat.png', 'image/png'), { accept: ['image/*', '.png'] })).toEqual([]);
+    expect(await validateFile(createFile(JPEG_BYTES, 'photo.jpg', 'image/jpg'), { accept: ['image/jpeg'] })).toEqual([]);
+    expect(await validateFile(createFile([0xFF, 0xFB, 0x90, 0x64], 'song.mp3', 'audio/mpeg'), { accept: ['audio/*'] })).toEqual([]);
+  });
+
+  it('judges by content when it is recognised', async () => {
+    const jpegAsPng = createFile(JPEG_BYTES, 'cat.png', 'image/png');
+
+    expect(await validateFile(jpegAsPng, { accept: ['image/*'] })).toEqual([]);
+    expect(codes(await validateFile(jpegAsPng, { accept: ['.png'] }))).toEqual(['type-mismatch']);
+  });
+
+  it('falls back to file.type for types without a signature', async () => {
+    const svg = new File(['<svg xmlns="http://www.w3.org/2000/svg"/>'], 'logo.svg', { type: 'image/svg+xml' });
+    const csv = new File(['a,b\n1,2'], 'data.csv', { type: 'text/csv' });
+
+    expect(await validateFile(svg, { accept: ['image/*'] })).toEqual([]);
+    expect(await validateFile(csv, { accept: ['.csv', 'text/csv'] })).toEqual([]);
+    expect(codes(await validateFile(csv, { accept: ['image/*'] }))).toEqual(['invalid-type']);
+  });
+});
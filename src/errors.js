@@ -0,0 +1,114 @@
+/**
+ * DAM Errors - Structured error types for DAM API failures
+ * Every error carries the HTTP status, server error code, response body
+ * and request id when they are known.
+ */
+export class DAMError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'DAMError';
+    this.status = details.status ?? null;
+    this.code = details.code ?? null;
+    this.body = details.body ?? null;
+    this.requestId = details.requestId ?? null;
+    this.retryAfter = details.retryAfter ?? null;
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+/**
+ * 401/403 - missing, invalid or insufficient API credentials
+ */
+export class AuthenticationError extends DAMError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * 404 - file, folder or endpoint does not exist
+ */
+export class NotFoundError extends DAMError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * 400/409/413/415/422 - request rejected, e.g. bad input or file too large
+ */
+export class ValidationError extends DAMError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * 429 - too many requests; `retryAfter` is in seconds when the server sent it
+ */
+export class RateLimitError extends DAMError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * Request never got a response
+ */
+export class NetworkError extends DAMError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Request was cancelled by the caller
+ */
+export class AbortError extends DAMError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AbortError';
+  }
+}
+
+const VALIDATION_STATUSES = [400, 409, 413, 415, 422];
+
+/**
+ * Parse a Retry-After header value into seconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * Create the matching DAMError for a failed HTTP response
+ */
+export function createResponseError(status, body, headers = {}) {
+  const data = body && typeof body === 'object' ? body : null;
+  const message = (data && (data.message || data.error))
+    || (headers.statusText ? `HTTP ${status}: ${headers.statusText}` : `Request failed with status ${status}`);
+  const details = {
+    status,
+    code: data ? data.code || data.error_code || null : null,
+    body: body ?? null,
+    requestId: headers.requestId || (data && (data.request_id || data.requestId)) || null,
+    retryAfter: parseRetryAfter(headers.retryAfter),
+  };
+
+  if (status === 401 || status === 403) return new AuthenticationError(message, details);
+  if (status === 404) return new NotFoundError(message, details);
+  if (status === 429) return new RateLimitError(message, details);
+  if (VALIDATION_STATUSES.includes(status)) return new ValidationError(message, details);
+  return new DAMError(message, details);
+}
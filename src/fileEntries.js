@@ -0,0 +1,94 @@
+/**
+ * File Entries - Collect files from drops, pastes and file inputs
+ * Dropped directories are walked with webkitGetAsEntry so every file
+ * keeps the folder path it had relative to the drop.
+ */
+const IGNORED_FILES = ['.DS_Store', 'Thumbs.db', 'desktop.ini'];
+
+const isIgnored = (file) => IGNORED_FILES.includes(file.name);
+
+const joinPath = (path, name) => (path ? `${path}/${name}` : name);
+
+function getEntryFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+// readEntries returns at most ~100 entries per call, so keep reading until empty
+async function readDirectory(entry) {
+  const reader = entry.createReader();
+  const entries = [];
+
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) return entries;
+    entries.push(...batch);
+  }
+}
+
+async function walkEntry(entry, path, results) {
+  if (entry.isFile) {
+    const file = await getEntryFile(entry);
+    if (!isIgnored(file)) results.push({ file, path });
+    return;
+  }
+
+  if (entry.isDirectory) {
+    const childPath = joinPath(path, entry.name);
+    for (const child of await readDirectory(entry)) {
+      await walkEntry(child, childPath, results);
+    }
+  }
+}
+
+/**
+ * Collect `{ file, path }` pairs from a drop or paste DataTransfer.
+ * `path` is the folder path inside the dropped directory, '' for loose files.
+ */
+export async function getDataTransferFiles(dataTransfer) {
+  if (!dataTransfer) return [];
+
+  const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+
+  if (!items.length) {
+    return Array.from(dataTransfer.files || [])
+      .filter(file => !isIgnored(file))
+      .map(file => ({ file, path: '' }));
+  }
+
+  // Entries and files must be read before the first await; the browser
+  // empties the DataTransfer once the event handler returns
+  const sources = items.map(item => ({
+    entry: item.webkitGetAsEntry ? item.webkitGetAsEntry() : null,
+    file: item.getAsFile(),
+  }));
+
+  const results = [];
+  for (const { entry, file } of sources) {
+    if (entry) {
+      await walkEntry(entry, '', results);
+    } else if (file && !isIgnored(file)) {
+      results.push({ file, path: '' });
+    }
+  }
+  return results;
+}
+
+/**
+ * Collect `{ file, path }` pairs from a file input, using
+ * webkitRelativePath when a whole directory was picked
+ */
+export function getInputFiles(fileList) {
+  return Array.from(fileList || [])
+    .filter(file => !isIgnored(file))
+    .map(file => ({
+      file,
+      path: (file.webkitRelativePath || '').split('/').slice(0, -1).join('/'),
+    }));
+}
+
+/**
+ * Check whether a drag carries files rather than text or links
+ */
+export function hasFiles(dataTransfer) {
+  return Boolean(dataTransfer && Array.from(dataTransfer.types || []).includes('Files'));
+}
@@ -0,0 +1,226 @@
+/**
+ * File Hash - SHA-256 content hashes for upload deduplication
+ * Web Crypto can only digest a whole buffer, so small files go through
+ * crypto.subtle directly. Large files are read in chunks by a Web Worker
+ * that feeds an incremental SHA-256, keeping memory flat and the main
+ * thread free.
+ */
+import { AbortError } from './errors.js';
+
+const WORKER_THRESHOLD = 16 * 1024 * 1024;
+const HASH_CHUNK_SIZE = 4 * 1024 * 1024;
+
+const WORKER_SOURCE = `
+var K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function createSha256() {
+  var H = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  var W = new Uint32Array(64);
+  var block = new Uint8Array(64);
+  var blockLength = 0;
+  var total = 0;
+
+  function compress(bytes, offset) {
+    var i, j, x, y, t1, t2;
+    for (i = 0; i < 16; i++) {
+      j = offset + i * 4;
+      W[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (i = 16; i < 64; i++) {
+      x = W[i - 15];
+      y = W[i - 2];
+      W[i] = W[i - 16] + W[i - 7]
+        + (((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3))
+        + (((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10));
+    }
+
+    var a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+    for (i = 0; i < 64; i++) {
+      t1 = (h + (((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7)))
+        + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+      t2 = ((((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10)))
+        + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+    H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+  }
+
+  function update(bytes) {
+    var i = 0;
+    total += bytes.length;
+
+    if (blockLength) {
+      while (blockLength < 64 && i < bytes.length) block[blockLength++] = bytes[i++];
+      if (blockLength < 64) return;
+      compress(block, 0);
+      blockLength = 0;
+    }
+    for (; i + 64 <= bytes.length; i += 64) compress(bytes, i);
+    while (i < bytes.length) block[blockLength++] = bytes[i++];
+  }
+
+  function digest() {
+    var high = Math.floor(total / 0x20000000);
+    var low = (total % 0x20000000) * 8;
+    var padding = new Uint8Array(((blockLength < 56 ? 56 : 120) - blockLength) + 8);
+    padding[0] = 0x80;
+    var end = padding.length - 8;
+    padding[end] = high >>> 24; padding[end + 1] = high >>> 16;
+    padding[end + 2] = high >>> 8; padding[end + 3] = high;
+    padding[end + 4] = low >>> 24; padding[end + 5] = low >>> 16;
+    padding[end + 6] = low >>> 8; padding[end + 7] = low;
+    update(padding);
+
+    var hex = '';
+    for (var i = 0; i < 8; i++) hex += ('00000000' + H[i].toString(16)).slice(-8);
+    return hex;
+  }
+
+  return { update: update, digest: digest };
+}
+
+var cancelled = {};
+
+self.onmessage = async function (event) {
+  var data = event.data;
+  if (data.cancel) {
+    cancelled[data.id] = true;
+    return;
+  }
+
+  try {
+    var hasher = createSha256();
+    for (var offset = 0; offset < data.file.size; offset += data.chunkSize) {
+      if (cancelled[data.id]) break;
+      var chunk = await data.file.slice(offset, offset + data.chunkSize).arrayBuffer();
+      hasher.update(new Uint8Array(chunk));
+    }
+    if (cancelled[data.id]) {
+      delete cancelled[data.id];
+      return;
+    }
+    self.postMessage({ id: data.id, hash: hasher.digest() });
+  } catch (err) {
+    self.postMessage({ id: data.id, error: err.message });
+  }
+};
+`;
+
+let worker = null;
+let workerFailed = false;
+let workerJobId = 0;
+const workerJobs = new Map();
+
+function getWorker() {
+  if (worker || workerFailed) return worker;
+
+  if (typeof Worker === 'undefined' || typeof URL === 'undefined') {
+    workerFailed = true;
+    return null;
+  }
+
+  try {
+    const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+    worker = new Worker(url);
+    worker.onmessage = (event) => {
+      const job = workerJobs.get(event.data.id);
+      if (!job) return;
+
+      workerJobs.delete(event.data.id);
+      if (event.data.error) {
+        job.reject(new Error(event.data.error));
+      } else {
+        job.resolve(event.data.hash);
+      }
+    };
+    worker.onerror = () => {
+      workerFailed = true;
+      worker = null;
+      workerJobs.forEach(job => job.reject(new Error('Hash worker failed')));
+      workerJobs.clear();
+    };
+  } catch {
+    workerFailed = true;
+    worker = null;
+  }
+
+  return worker;
+}
+
+function hashInWorker(file, chunkSize, signal) {
+  const activeWorker = getWorker();
+  if (!activeWorker) return null;
+
+  return new Promise((resolve, reject) => {
+    const id = ++workerJobId;
+    const onAbort = () => {
+      workerJobs.delete(id);
+      activeWorker.postMessage({ id, cancel: true });
+      reject(new AbortError('Hashing cancelled'));
+    };
+
+    workerJobs.set(id, {
+      resolve: (hash) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(hash);
+      },
+      reject: (err) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(err);
+      },
+    });
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    activeWorker.postMessage({ id, file, chunkSize });
+  });
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+/**
+ * Compute the SHA-256 of a file as a hex string.
+ *
+ * Options: signal, chunkSize (bytes read per step in the worker) and
+ * workerThreshold (files at least this large are hashed in a worker).
+ * Without Worker support every file is digested on the main thread.
+ */
+export async function hashFile(file, options = {}) {
+  const {
+    signal,
+    chunkSize = HASH_CHUNK_SIZE,
+    workerThreshold = WORKER_THRESHOLD,
+  } = options;
+
+  if (signal && signal.aborted) {
+    throw new AbortError('Hashing cancelled');
+  }
+
+  if (file.size >= workerThreshold) {
+    const pending = hashInWorker(file, chunkSize, signal);
+    if (pending) return pending;
+  }
+
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new Error('Web Crypto is not available; SHA-256 hashing needs a secure context');
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  if (signal && signal.aborted) {
+    throw new AbortError('Hashing cancelled');
+  }
+  return toHex(digest);
+}
@@ -0,0 +1,369 @@
+/**
+ * Image Preprocess - Downscale, re-encode and clean images before upload
+ * Decoding applies EXIF orientation; re-encoding through a canvas drops
+ * all EXIF data, GPS included. Images kept as they are lose their EXIF
+ * and XMP blocks instead when those carry GPS. Runs in a Web Worker with OffscreenCanvas
+ * when the browser supports it, otherwise on the main thread.
+ */
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const FORMAT_TYPES = {
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+const TYPE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+const WORKER_SOURCE = `
+self.onmessage = async (event) => {
+  const { id, file, maxDimension, type, quality, force } = event.data;
+  try {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const { width, height } = bitmap;
+    const scale = maxDimension ? Math.min(1, maxDimension / Math.max(width, height)) : 1;
+
+    if (scale === 1 && !force) {
+      bitmap.close();
+      self.postMessage({ id, width, height, blob: null });
+      return;
+    }
+
+    const canvas = new OffscreenCanvas(Math.round(width * scale), Math.round(height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await canvas.convertToBlob({ type, quality });
+    self.postMessage({ id, width, height, blob });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
+`;
+
+let worker = null;
+let workerFailed = false;
+let workerJobId = 0;
+const workerJobs = new Map();
+
+function getWorker() {
+  if (worker || workerFailed) return worker;
+
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof URL === 'undefined') {
+    workerFailed = true;
+    return null;
+  }
+
+  try {
+    const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+    worker = new Worker(url);
+    worker.onmessage = (event) => {
+      const job = workerJobs.get(event.data.id);
+      if (!job) return;
+
+      workerJobs.delete(event.data.id);
+      if (event.data.error) {
+        job.reject(new Error(event.data.error));
+      } else {
+        job.resolve(event.data);
+      }
+    };
+    worker.onerror = () => {
+      workerFailed = true;
+      worker = null;
+      workerJobs.forEach(job => job.reject(new Error('Image worker failed')));
+      workerJobs.clear();
+    };
+  } catch {
+    workerFailed = true;
+    worker = null;
+  }
+
+  return worker;
+}
+
+function encodeInWorker(file, options) {
+  const activeWorker = getWorker();
+  if (!activeWorker) return null;
+
+  return new Promise((resolve, reject) => {
+    const id = ++workerJobId;
+    workerJobs.set(id, { resolve, reject });
+    activeWorker.postMessage({ id, file, ...options });
+  });
+}
+
+async function decodeOnMainThread(file) {
+  if (typeof createImageBitmap !== 'undefined') {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function encodeOnMainThread(file, { maxDimension, type, quality, force }) {
+  const image = await decodeOnMainThread(file);
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const scale = maxDimension ? Math.min(1, maxDimension / Math.max(width, height)) : 1;
+
+  if (scale === 1 && !force) {
+    if (image.close) image.close();
+    return { width, height, blob: null };
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  if (image.close) image.close();
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+  if (!blob) {
+    throw new Error(`Browser cannot encode ${type}`);
+  }
+  return { width, height, blob };
+}
+
+// Enough of the file for the JPEG header segments that carry metadata
+const METADATA_READ_LIMIT = 128 * 1024;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+async function readBytes(file, start, end) {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+function readAscii(bytes, start, end) {
+  return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+/**
+ * Read the EXIF orientation and find metadata segments of a JPEG.
+ * Returns { orientation, hasGps, segments } where segments are the
+ * [start, end) byte ranges of the Exif and XMP APP1 blocks.
+ */
+export function readJpegMetadata(buffer) {
+  const view = new DataView(buffer);
+  const result = { orientation: 1, hasGps: false, segments: [] };
+
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return result;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+    const length = view.getUint16(offset + 2);
+    const start = offset;
+    const end = offset + 2 + length;
+
+    if (marker === 0xFFE1) {
+      const header = String.fromCharCode(...new Uint8Array(buffer, offset + 4, Math.min(29, length - 2, view.byteLength - offset - 4)));
+
+      if (header.startsWith('Exif\0\0')) {
+        result.segments.push([start, end]);
+        Object.assign(result, readExifTags(view, offset + 10));
+      } else if (header.startsWith('http://ns.adobe.com/xap/1.0/')) {
+        result.segments.push([start, end]);
+      }
+    }
+
+    offset = end;
+  }
+
+  return result;
+}
+
+/**
+ * Find the EXIF and XMP chunks of a PNG or WebP file.
+ * Only chunk headers and the EXIF payload are read. Returns
+ * { hasGps, segments } with segments as [start, end) byte ranges.
+ */
+async function readChunkMetadata(file) {
+  const result = { hasGps: false, segments: [] };
+  const png = file.type === 'image/png';
+  const head = await readBytes(file, 0, 12);
+
+  const valid = png
+    ? PNG_SIGNATURE.every((byte, index) => head[index] === byte)
+    : readAscii(head, 0, 4) === 'RIFF' && readAscii(head, 8, 12) === 'WEBP';
+  if (!valid) return result;
+
+  // PNG chunks: length, type, data, CRC. RIFF chunks: type, length, data, padding
+  let offset = png ? 8 : 12;
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, offset + 8);
+    const view = new DataView(header.buffer);
+    const name = png ? readAscii(header, 4, 8) : readAscii(header, 0, 4);
+    const length = png ? view.getUint32(0) : view.getUint32(4, true);
+    const dataStart = offset + 8;
+    const end = png ? dataStart + length + 4 : dataStart + length + (length & 1);
+
+    if (name === 'eXIf' || name === 'EXIF') {
+      result.segments.push([offset, end]);
+      const data = await readBytes(file, dataStart, dataStart + Math.min(length, METADATA_READ_LIMIT));
+      // Some WebP writers keep the JPEG-style Exif header
+      const tiffStart = readAscii(data, 0, 6) === 'Exif\0\0' ? 6 : 0;
+      if (readExifTags(new DataView(data.buffer), tiffStart).hasGps) result.hasGps = true;
+    } else if (name === 'XMP ') {
+      result.segments.push([offset, end]);
+    } else if (name === 'iTXt') {
+      const keyword = await readBytes(file, dataStart, dataStart + 18);
+      if (readAscii(keyword, 0, 18) === 'XML:com.adobe.xmp\0') result.segments.push([offset, end]);
+    }
+
+    if (name === 'IEND') break;
+    offset = end;
+  }
+
+  return result;
+}
+
+function readExifTags(view, tiffStart) {
+  const tags = { orientation: 1, hasGps: false };
+
+  try {
+    const little = view.getUint16(tiffStart) === 0x4949;
+    const ifdOffset = view.getUint32(tiffStart + 4, little);
+    const entries = view.getUint16(tiffStart + ifdOffset, little);
+
+    for (let i = 0; i < entries; i++) {
+      const entry = tiffStart + ifdOffset + 2 + i * 12;
+      const tag = view.getUint16(entry, little);
+
+      if (tag === 0x0112) tags.orientation = view.getUint16(entry + 8, little);
+      if (tag === 0x8825) tags.hasGps = true;
+    }
+  } catch {
+    // Truncated or malformed EXIF, treat as absent
+  }
+
+  return tags;
+}
+
+/**
+ * Remove metadata segments from an image without re-encoding it.
+ * Built from slices of the file, so it is never read whole here.
+ * WebP also needs its RIFF size and VP8X EXIF/XMP flags updated.
+ */
+async function stripSegments(file, segments) {
+  const parts = [];
+  let offset = 0;
+
+  if (file.type === 'image/webp') {
+    const removed = segments.reduce((total, [start, end]) => total + end - start, 0);
+    const head = await readBytes(file, 0, 30);
+    const view = new DataView(head.buffer);
+    view.setUint32(4, view.getUint32(4, true) - removed, true);
+    if (readAscii(head, 12, 16) === 'VP8X') head[20] &= ~0x0C;
+    parts.push(head);
+    offset = head.length;
+  }
+
+  segments.forEach(([start, end]) => {
+    parts.push(file.slice(offset, start));
+    offset = end;
+  });
+  parts.push(file.slice(offset));
+
+  return new File(parts, file.name, { type: file.type, lastModified: file.lastModified });
+}
+
+function renameForType(name, type) {
+  const extension = TYPE_EXTENSIONS[type];
+  if (!extension) return name;
+
+  const base = name.replace(/\.[^./]+$/, '');
+  return `${base}.${extension}`;
+}
+
+/**
+ * Preprocess an image file before upload.
+ *
+ * Options: maxDimension (px), format ('webp' | 'jpeg' | 'png'),
+ * quality (0-1), stripGps (default true), recordOriginal (add the
+ * original name, size and dimensions to the returned metadata) and
+ * useWorker (default true).
+ *
+ * Resolves to { file, metadata }; files that are not JPEG, PNG or WebP
+ * are returned unchanged.
+ */
+export async function preprocessImage(file, options = {}) {
+  const {
+    maxDimension,
+    format,
+    quality = 0.85,
+    stripGps = true,
+    recordOriginal = false,
+    useWorker = true,
+  } = options;
+
+  if (!PROCESSABLE_TYPES.includes(file.type)) {
+    return { file, metadata: null };
+  }
+
+  const type = format ? FORMAT_TYPES[format] : file.type;
+  if (!type) {
+    throw new Error(`Unsupported preprocess format "${format}"`);
+  }
+
+  const jpeg = file.type === 'image/jpeg'
+    ? readJpegMetadata(await file.slice(0, METADATA_READ_LIMIT).arrayBuffer())
+    : null;
+  const encodeOptions = {
+    maxDimension,
+    type,
+    quality,
+    force: type !== file.type || Boolean(jpeg && jpeg.orientation > 1),
+  };
+
+  let encoded = null;
+  if (useWorker) {
+    try {
+      encoded = await encodeInWorker(file, encodeOptions);
+    } catch {
+      encoded = null;
+    }
+  }
+  if (!encoded) {
+    encoded = await encodeOnMainThread(file, encodeOptions);
+  }
+
+  let output = file;
+
+  if (encoded.blob) {
+    output = new File([encoded.blob], renameForType(file.name, type), {
+      type,
+      lastModified: file.lastModified,
+    });
+  } else if (stripGps) {
+    const found = jpeg || await readChunkMetadata(file);
+    if (found.hasGps) output = await stripSegments(file, found.segments);
+  }
+
+  const metadata = recordOriginal
+    ? {
+      original_name: file.name,
+      original_size: file.size,
+      original_type: file.type,
+      original_width: encoded.width,
+      original_height: encoded.height,
+    }
+    : null;
+
+  return { file: output, metadata };
+}
@@ -1,5 +1,31 @@
-import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import DAMClient from './DAMClient.js';
+import QueryCache from './QueryCache.js';
+import RealtimeChannel from './realtime.js';
+import { DAMError, AbortError, NetworkError } from './errors.js';
+import { resolveTransformOptions } from './transforms.js';
+import { getRetryDelay, isRetryable } from './retry.js';
+import { preprocessImage } from './imagePreprocess.js';
+import { validateFiles, createUploadValidationError, formatBytes } from './uploadValidation.js';
+import { getDataTransferFiles, getInputFiles, hasFiles } from './fileEntries.js';
+import {
+  isOffline,
+  savePendingUpload,
+  listPendingUploads,
+  updatePendingUpload,
+  deletePendingUpload,
+  subscribePendingUploads,
+} from './offlineUploads.js';
+
+export {
+  DAMError,
+  AuthenticationError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  NetworkError,
+  AbortError,
+} from './errors.js';
 
 // ==================== DAM CONTEXT ====================
 
@@ -11,290 +37,2819 @@ const DAMContext = createContext(null);
  */
 export function DAMProvider({ config, children }) {
   const [client] = useState(() => new DAMClient(config));
+  const [cache] = useState(() => new QueryCache(config.cache));
+  const [realtime] = useState(() => (
+    config.realtime
+      ? new RealtimeChannel(client, config.realtime === true ? {} : config.realtime)
+      : null
+  ));
+  const value = useMemo(() => ({ client, cache, realtime }), [client, cache, realtime]);
+
+  // Keep cached files in step with changes made elsewhere
+  useEffect(() => {
+    if (!realtime) return undefined;
+
+    const unsubscribe = realtime.subscribe(event => applyRealtimeEvent(cache, event));
+    realtime.connect();
+    return () => {
+      unsubscribe();
+      realtime.close();
+    };
+  }, [realtime, cache]);
+
+  useOfflineReplay(client, cache, Boolean(client.offline));
 
   return (
-    <DAMContext.Provider value={client}>
+    <DAMContext.Provider value={value}>
       {children}
     </DAMContext.Provider>
   );
 }
 
+function useDAMContext(hookName) {
+  const context = useContext(DAMContext);
+  if (!context) {
+    throw new Error(`${hookName} must be used within a DAMProvider`);
+  }
+  return context;
+}
+
+/**
+ * Hook to access DAM client
+ */
+export function useDAMClient() {
+  return useDAMContext('useDAMClient').client;
+}
+
+/**
+ * Hook to access the shared query cache
+ */
+export function useDAMCache() {
+  return useDAMContext('useDAMCache').cache;
+}
+
+/**
+ * Hook for raw realtime events from the provider's `realtime` channel
+ * The callback gets every { type, data, id } event, e.g. 'file.created'
+ * or 'folder.deleted'. Returns the connection `status`.
+ */
+export function useDAMEvents(callback) {
+  const { realtime } = useDAMContext('useDAMEvents');
+  const callbackRef = useRef(callback);
+  const [status, setStatus] = useState(realtime ? realtime.status : 'disabled');
+
+  callbackRef.current = callback;
+
+  useEffect(() => {
+    if (!realtime) return undefined;
+
+    setStatus(realtime.status);
+    const unsubscribe = realtime.subscribe((event) => {
+      if (callbackRef.current) callbackRef.current(event);
+    });
+    const unsubscribeStatus = realtime.onStatusChange(setStatus);
+
+    return () => {
+      unsubscribe();
+      unsubscribeStatus();
+    };
+  }, [realtime]);
+
+  return { status };
+}
+
+// ==================== QUERY HOOKS ====================
+
+/**
+ * Track the AbortController of the latest request.
+ * Starting a request aborts the previous one; unmounting aborts the last.
+ */
+function useLatestRequest() {
+  const controllerRef = useRef(null);
+
+  const abort = useCallback(() => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+      controllerRef.current = null;
+    }
+  }, []);
+
+  const start = useCallback(() => {
+    abort();
+    controllerRef.current = new AbortController();
+    return controllerRef.current;
+  }, [abort]);
+
+  useEffect(() => abort, [abort]);
+
+  return useMemo(() => ({ start, abort }), [start, abort]);
+}
+
+function readQueryState(cache, key) {
+  const entry = cache.peek(key);
+  return {
+    data: entry ? cache.getData(entry) : undefined,
+    error: entry ? entry.error : null,
+    fetching: Boolean(entry && entry.promise),
+  };
+}
+
+/**
+ * Read an endpoint through the shared query cache.
+ * Cached data is served at once and revalidated when older than `staleTime`.
+ */
+function useCachedQuery(endpoint, params, fetcher, options = {}) {
+  const cache = useDAMCache();
+  const {
+    enabled = true,
+    staleTime = cache.staleTime,
+    cacheTime = cache.cacheTime,
+  } = options;
+  const key = QueryCache.key(endpoint, params);
+  const fetcherRef = useRef(fetcher);
+  const [state, setState] = useState(() => readQueryState(cache, key));
+
+  fetcherRef.current = fetcher;
+
+  const load = useCallback((force = false) => {
+    return cache.fetch(key, endpoint, signal => fetcherRef.current(signal), { staleTime, force })
+      .catch(() => {
+        // Error is kept on the cache entry and read through the subscription
+      });
+  }, [cache, key, endpoint, staleTime]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    setState(readQueryState(cache, key));
+
+    const unsubscribe = cache.subscribe(key, endpoint, (entry) => {
+      setState(readQueryState(cache, key));
+      // A failed refetch waits for the next refetch() or mount instead of looping
+      if (entry.invalidated && !entry.promise && !entry.error) {
+        load();
+      }
+    }, cacheTime);
+
+    load();
+    return unsubscribe;
+  }, [cache, key, endpoint, enabled, cacheTime, load]);
+
+  return {
+    data: enabled ? state.data : undefined,
+    error: enabled ? state.error : null,
+    loading: enabled && state.data === undefined && (state.fetching || !state.error),
+    fetching: enabled && state.fetching,
+    refetch: () => (enabled ? load(true) : Promise.resolve()),
+  };
+}
+
+// ==================== FILE HOOKS ====================
+
+/**
+ * Hook for listing files using API key
+ * Accepts `staleTime` and `cacheTime` (ms) next to the query options.
+ * Filter by `tag` or `collectionId` to list files across folders;
+ * collections come back in their curated order.
+ */
+export function useFiles(options = {}) {
+  const client = useDAMClient();
+  const { staleTime, cacheTime, ...query } = options;
+
+  const { data, error, loading, fetching, refetch } = useCachedQuery(
+    '/public/files',
+    query,
+    signal => client.getFiles({ ...query, signal }),
+    { staleTime, cacheTime }
+  );
+
+  return {
+    files: data ? data.data : [],
+    loading,
+    fetching,
+    error: error ? error.message : null,
+    errorObject: error,
+    pagination: data ? data.pagination : null,
+    refetch,
+  };
+}
+
+/**
+ * Work out the request params for the page after `lastPage`.
+ * Uses the server cursor when present, otherwise offsets.
+ */
+function getNextPageParam(lastPage, pages, limit) {
+  const pagination = lastPage.pagination || {};
+  const cursor = pagination.nextCursor !== undefined ? pagination.nextCursor : pagination.next_cursor;
+
+  if (cursor !== undefined) {
+    return cursor ? { cursor } : null;
+  }
+
+  const loaded = pages.reduce((count, page) => count + page.data.length, 0);
+  const hasMore = pagination.hasMore !== undefined ? pagination.hasMore : pagination.has_more;
+
+  if (hasMore !== undefined) {
+    return hasMore ? { offset: loaded } : null;
+  }
+
+  if (pagination.total !== undefined) {
+    return loaded < pagination.total ? { offset: loaded } : null;
+  }
+
+  return lastPage.data.length >= limit ? { offset: loaded } : null;
+}
+
+/**
+ * Hook for endless file lists using API key
+ * Accumulates pages (cursor or offset based) and resets when the
+ * query options change.
+ */
+export function useInfiniteFiles(options = {}) {
+  const client = useDAMClient();
+  const cache = useDAMCache();
+  const { staleTime, cacheTime, limit = 50, ...listOptions } = options;
+  // Pages are fetched by the hook, so a starting offset or cursor is ignored
+  const query = { ...listOptions, offset: undefined, cursor: undefined };
+  const params = { ...query, limit, infinite: true };
+  const key = QueryCache.key('/public/files', params);
+  const fetchingNextRef = useRef(false);
+  const nextPageRequest = useLatestRequest();
+  const [isFetchingNextPage, setIsFetchingNextPage] = useState(false);
+  const [nextPageError, setNextPageError] = useState(null);
+
+  // Refetch as many pages as are already loaded so lists keep their length.
+  // A next page still loading would follow the old pages, so it's dropped
+  const fetchPages = async (signal) => {
+    nextPageRequest.abort();
+    const entry = cache.peek(key);
+    const count = entry && entry.data ? entry.data.pages.length : 1;
+    const pages = [];
+    let pageParam = {};
+
+    while (pageParam && pages.length < count) {
+      const page = await client.getFiles({ ...query, limit, ...pageParam, signal });
+      pages.push(page);
+      pageParam = getNextPageParam(page, pages, limit);
+    }
+
+    return { pages };
+  };
+
+  const { data, error, loading, fetching, refetch } = useCachedQuery(
+    '/public/files',
+    params,
+    fetchPages,
+    { staleTime, cacheTime }
+  );
+
+  const pages = data ? data.pages : [];
+  const failure = error || nextPageError;
+  const nextPageParam = pages.length
+    ? getNextPageParam(pages[pages.length - 1], pages, limit)
+    : null;
+
+  useEffect(() => {
+    nextPageRequest.abort();
+    setNextPageError(null);
+  }, [key, nextPageRequest]);
+
+  const fetchNextPage = useCallback(async () => {
+    if (!nextPageParam || fetchingNextRef.current) return;
+
+    const controller = nextPageRequest.start();
+    // The refetch generation the page belongs to; starting or finishing a
+    // refetch (also from another hook on the same list) moves it on
+    const { promise, updatedAt } = cache.peek(key) || {};
+    fetchingNextRef.current = true;
+    setIsFetchingNextPage(true);
+    setNextPageError(null);
+
+    try {
+      const page = await client.getFiles({
+        ...query,
+        limit,
+        ...nextPageParam,
+        signal: controller.signal,
+      });
+      const entry = cache.peek(key);
+      if (!entry || entry.promise !== promise || entry.updatedAt !== updatedAt) return;
+
+      cache.setData(key, current => ({
+        pages: [...(current ? current.pages : []), page],
+      }));
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        setNextPageError(err);
+      }
+    } finally {
+      fetchingNextRef.current = false;
+      setIsFetchingNextPage(false);
+    }
+  }, [client, cache, key, nextPageRequest, JSON.stringify(nextPageParam)]);
+
+  return {
+    files: pages.reduce((all, page) => all.concat(page.data), []),
+    pages,
+    pagination: pages.length ? pages[pages.length - 1].pagination : null,
+    loading,
+    fetching,
+    error: failure ? failure.message : null,
+    errorObject: failure,
+    hasNextPage: Boolean(nextPageParam),
+    isFetchingNextPage,
+    fetchNextPage,
+    refetch,
+  };
+}
+
+// Search filters kept in the URL, with how to read each one back
+const SEARCH_URL_FILTERS = {
+  folderId: 'string',
+  mimeType: 'list',
+  tags: 'list',
+  sort: 'string',
+  order: 'string',
+  createdAfter: 'string',
+  createdBefore: 'string',
+  updatedAfter: 'string',
+  updatedBefore: 'string',
+  minSize: 'number',
+  maxSize: 'number',
+  recursive: 'boolean',
+};
+
+const toQueryValue = value => (value instanceof Date ? value.toISOString() : String(value));
+
+const isEmptyFilter = value => (
+  value == null
+  || value === ''
+  || (Array.isArray(value) && !value.length)
+  || (typeof value === 'object' && !(value instanceof Date) && !Object.keys(value).length)
+);
+
+/**
+ * Read a search from the page URL: `q`, the filters above and
+ * `meta.<key>` metadata filters, each behind the optional prefix
+ */
+function readSearchUrl(prefix) {
+  const params = new URLSearchParams(window.location.search);
+  const filters = {};
+
+  Object.entries(SEARCH_URL_FILTERS).forEach(([name, type]) => {
+    const value = params.get(prefix + name);
+    if (value == null || value === '') return;
+
+    if (type === 'list') filters[name] = value.split(',').filter(Boolean);
+    if (type === 'number' && !Number.isNaN(Number(value))) filters[name] = Number(value);
+    if (type === 'boolean') filters[name] = value === 'true';
+    if (type === 'string') filters[name] = value;
+  });
+
+  params.forEach((value, key) => {
+    if (!key.startsWith(`${prefix}meta.`)) return;
+    filters.metadata = { ...filters.metadata, [key.slice(prefix.length + 5)]: value };
+  });
+
+  return { query: params.get(`${prefix}q`) || '', filters };
+}
+
+/**
+ * Write a search into the page URL without adding a history entry.
+ * Parameters that don't belong to the search are left alone.
+ */
+function writeSearchUrl(prefix, query, filters) {
+  const params = new URLSearchParams(window.location.search);
+
+  Array.from(params.keys()).forEach(key => {
+    const name = key.slice(prefix.length);
+    if (key.startsWith(prefix) && (name === 'q' || name.startsWith('meta.') || SEARCH_URL_FILTERS[name])) {
+      params.delete(key);
+    }
+  });
+
+  if (query) params.set(`${prefix}q`, query);
+  Object.keys(SEARCH_URL_FILTERS).forEach(name => {
+    const value = filters[name];
+    if (isEmptyFilter(value)) return;
+    params.set(prefix + name, Array.isArray(value) ? value.join(',') : toQueryValue(value));
+  });
+  Object.entries(filters.metadata || {}).forEach(([key, value]) => {
+    if (!isEmptyFilter(value)) params.set(`${prefix}meta.${key}`, value);
+  });
+
+  const search = params.toString();
+  const { pathname, hash } = window.location;
+  const url = `${pathname}${search ? `?${search}` : ''}${hash}`;
+  if (url !== `${pathname}${window.location.search}${hash}`) {
+    window.history.replaceState(window.history.state, '', url);
+  }
+}
+
+/**
+ * Turn facet counts into [{ value, count }] lists. Servers may send
+ * { value: count } maps or arrays of objects keyed by `idKey`.
+ */
+function normalizeFacetGroup(group, idKey) {
+  if (!group) return [];
+  if (Array.isArray(group)) {
+    return group.map(item => ({ ...item, value: item.value ?? item[idKey] ?? null, count: Number(item.count) || 0 }));
+  }
+  return Object.entries(group).map(([value, count]) => ({ value, count: Number(count) || 0 }));
+}
+
+function readFacets(page) {
+  const facets = page && (page.facets || (page.meta && page.meta.facets));
+  if (!facets) return null;
+
+  return {
+    types: normalizeFacetGroup(facets.types || facets.mime_types || facets.mime_type, 'mime_type'),
+    folders: normalizeFacetGroup(facets.folders || facets.folder_ids || facets.folder_id, 'folder_id'),
+  };
+}
+
+/**
+ * Hook for searching files using API key
+ * `setQuery` is debounced by `debounce` ms (default 300); `setFilters`
+ * merges getFiles options (sort, order, date and size ranges, mimeType,
+ * tags, metadata, folderId, recursive) and applies them at once.
+ * Results page like useInfiniteFiles. `facets` holds counts by type and
+ * by folder when the server sends them. With `syncUrl` (true or
+ * { prefix }) the search is kept in the page's query string, so it can
+ * be shared as a link and restored on load.
+ */
+export function useFileSearch(options = {}) {
+  const {
+    query: initialQuery = '',
+    filters: initialFilters = {},
+    debounce = 300,
+    syncUrl = false,
+    ...listOptions
+  } = options;
+  const prefix = syncUrl && typeof syncUrl === 'object' ? syncUrl.prefix || '' : '';
+  const urlSync = Boolean(syncUrl) && typeof window !== 'undefined';
+
+  const [search, setSearch] = useState(() => {
+    const fromUrl = urlSync ? readSearchUrl(prefix) : null;
+    return fromUrl && (fromUrl.query || Object.keys(fromUrl.filters).length)
+      ? fromUrl
+      : { query: initialQuery, filters: initialFilters };
+  });
+  const [debouncedQuery, setDebouncedQuery] = useState(search.query);
+
+  useEffect(() => {
+    if (search.query === debouncedQuery) return undefined;
+
+    const timer = setTimeout(() => setDebouncedQuery(search.query), debounce);
+    return () => clearTimeout(timer);
+  }, [search.query, debounce]);
+
+  const activeFilters = {};
+  Object.entries(search.filters).forEach(([name, value]) => {
+    if (!isEmptyFilter(value)) activeFilters[name] = value;
+  });
+
+  const list = useInfiniteFiles({
+    ...listOptions,
+    ...activeFilters,
+    search: debouncedQuery || undefined,
+    facets: true,
+  });
+
+  useEffect(() => {
+    if (urlSync) writeSearchUrl(prefix, debouncedQuery, search.filters);
+  }, [urlSync, prefix, debouncedQuery, JSON.stringify(search.filters)]);
+
+  // Back and forward restore the search that was in the URL
+  useEffect(() => {
+    if (!urlSync) return undefined;
+
+    const onPopState = () => {
+      const fromUrl = readSearchUrl(prefix);
+      setSearch(fromUrl);
+      setDebouncedQuery(fromUrl.query);
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, [urlSync, prefix]);
+
+  const setQuery = useCallback((query) => {
+    setSearch(prev => ({ ...prev, query }));
+  }, []);
+
+  const setFilters = useCallback((changes) => {
+    setSearch(prev => ({ ...prev, filters: { ...prev.filters, ...changes } }));
+  }, []);
+
+  const clear = useCallback(() => {
+    setSearch({ query: '', filters: {} });
+    setDebouncedQuery('');
+  }, []);
+
+  return {
+    ...list,
+    query: search.query,
+    debouncedQuery,
+    filters: search.filters,
+    setQuery,
+    setFilters,
+    clear,
+    facets: readFacets(list.pages[0]),
+  };
+}
+
+/**
+ * Hook for getting a single file using API key
+ * Accepts `staleTime` and `cacheTime` (ms) options.
+ */
+export function useFile(fileId, options = {}) {
+  const client = useDAMClient();
+  const { staleTime, cacheTime } = options;
+
+  const { data, error, loading, fetching, refetch } = useCachedQuery(
+    `/public/files/${fileId}`,
+    {},
+    signal => client.getFile(fileId, { signal }),
+    { staleTime, cacheTime, enabled: Boolean(fileId) }
+  );
+
+  return {
+    file: data ? data.data : null,
+    loading,
+    fetching,
+    error: error ? error.message : null,
+    errorObject: error,
+    refetch,
+  };
+}
+
+let placeholderId = 0;
+
+/**
+ * Apply `update(files, pageIndex)` to the file list of a cached
+ * useFiles response, or to every page of a useInfiniteFiles one
+ */
+function updateFileLists(data, update) {
+  if (data && Array.isArray(data.pages)) {
+    const pages = data.pages.map((page, index) => updateFileLists(page, files => update(files, index)));
+    return pages.every((page, index) => page === data.pages[index]) ? data : { ...data, pages };
+  }
+
+  if (!data || !Array.isArray(data.data)) return data;
+
+  const files = update(data.data, 0);
+  return files === data.data ? data : { ...data, data: files };
+}
+
+// List params checked against an upload, or that don't narrow the list
+const UPLOAD_LIST_KEYS = ['folderId', 'mimeType', 'limit', 'infinite'];
+
+/**
+ * Whether a file list fetched with `params` would include a file
+ * uploaded to `folderId`. Lists with filters that can't be checked
+ * on the client are left alone.
+ */
+function listShowsUpload(params, file, folderId) {
+  const mimeTypes = [].concat(params.mimeType || []).map(type => type.replace(/\*$/, ''));
+  const filtered = Object.keys(params).some(key => (
+    !UPLOAD_LIST_KEYS.includes(key) && params[key] != null && params[key] !== '' && params[key] !== 0
+  ));
+
+  return !filtered
+    && String(params.folderId ?? '') === String(folderId ?? '')
+    && (!mimeTypes.length || mimeTypes.some(type => (file.type || '').startsWith(type)));
+}
+
+/**
+ * Patch cached file lists and files with a realtime event
+ */
+function applyRealtimeEvent(cache, event) {
+  const file = event.data;
+  if (!file || file.id == null || !event.type.startsWith('file.')) return;
+
+  const listed = files => files.some(item => item.id === file.id);
+
+  if (event.type === 'file.created') {
+    cache.updateData('/public/files', (data, params) => updateFileLists(data, (files, pageIndex) => (
+      pageIndex === 0 && !listed(files) && listShowsUpload(params, { type: file.mime_type }, file.folder_id)
+        ? [file, ...files]
+        : files
+    )));
+  }
+
+  if (event.type === 'file.updated') {
+    cache.updateData('/public/files', (data, params) => updateFileLists(data, (files) => {
+      if (!listed(files)) return files;
+
+      // Moved out of the folder this list shows
+      const movedAway = file.folder_id !== undefined && params.folderId != null
+        && String(params.folderId) !== String(file.folder_id ?? '');
+      return movedAway
+        ? files.filter(item => item.id !== file.id)
+        : files.map(item => (item.id === file.id ? { ...item, ...file } : item));
+    }));
+    cache.updateData(`/public/files/${file.id}`, data => (
+      data && data.data ? { ...data, data: { ...data.data, ...file } } : data
+    ));
+  }
+
+  if (event.type === 'file.deleted') {
+    cache.updateData('/public/files', data => updateFileLists(data, files => (
+      listed(files) ? files.filter(item => item.id !== file.id) : files
+    )));
+    cache.invalidate(`/public/files/${file.id}`);
+  }
+}
+
+/**
+ * Show placeholder entries for files being uploaded in every cached
+ * file list they belong to. Returns { setProgress, settle, remove }.
+ */
+function showUploadPlaceholders(cache, files, folderId) {
+  let placeholders = files.map(file => ({
+    id: `uploading-${++placeholderId}`,
+    original_name: file.name,
+    mime_type: file.type,
+    size: file.size,
+    size_formatted: formatBytes(file.size),
+    folder_id: folderId ?? null,
+    is_image: (file.type || '').startsWith('image/'),
+    created_at: new Date().toISOString(),
+    optimistic: true,
+    uploading: true,
+    progress: 0,
+  }));
+
+  // Adds entries to the first page of the lists they belong to, once each
+  const prepend = (data, params, entries) => updateFileLists(data, (list, pageIndex) => {
+    if (pageIndex > 0) return list;
+
+    const added = entries.filter((entry, index) => (
+      entry
+      && listShowsUpload(params, files[index], entry.folder_id !== undefined ? entry.folder_id : folderId)
+      && !list.some(item => item.id === entry.id)
+    ));
+    return added.length ? [...added, ...list] : list;
+  });
+
+  const layer = cache.addOptimistic('/public/files', (data, params) => prepend(data, params, placeholders));
+
+  return {
+    setProgress: (progress) => {
+      placeholders = placeholders.map(placeholder => ({ ...placeholder, progress }));
+      layer.update();
+    },
+    // Swap the placeholders for the uploaded records until the lists refetch
+    settle: (records) => {
+      cache.updateData('/public/files', (data, params) => prepend(data, params, records));
+      layer.remove();
+    },
+    remove: layer.remove,
+  };
+}
+
+let replayChain = Promise.resolve();
+
+/**
+ * Send stored offline uploads, oldest first, one at a time.
+ * `shouldSend(upload)` picks which ones; by default everything not marked
+ * failed. A network failure leaves the upload pending and stops the run;
+ * any other error marks it failed until it is retried or discarded.
+ */
+function replayPendingUploads(client, cache, shouldSend = upload => upload.status !== 'failed') {
+  const run = async () => {
+    for (const upload of await listPendingUploads()) {
+      if (!shouldSend(upload)) continue;
+      if (isOffline()) return;
+
+      await updatePendingUpload(upload.id, { status: 'uploading', error: null });
+
+      // Some browsers hand stored Files back as plain Blobs
+      const file = upload.file.name
+        ? upload.file
+        : new File([upload.file], upload.name, { type: upload.type });
+      const send = upload.options.chunked ? client.uploadFileChunked : client.uploadFile;
+
+      try {
+        await send.call(client, file, upload.options);
+        await deletePendingUpload(upload.id);
+        cache.invalidate('/public/files', { exact: true });
+      } catch (err) {
+        const disconnected = err instanceof NetworkError;
+        await updatePendingUpload(upload.id, {
+          status: disconnected ? 'pending' : 'failed',
+          attempts: upload.attempts + 1,
+          error: err.message,
+        });
+        if (disconnected) return;
+      }
+    }
+  };
+
+  // Only one tab replays at a time, so an upload isn't sent twice
+  const locked = typeof navigator !== 'undefined' && navigator.locks
+    ? () => navigator.locks.request('dam-offline-uploads', run)
+    : run;
+
+  const replay = replayChain.then(locked);
+  replayChain = replay.catch(() => {});
+  return replay;
+}
+
+/**
+ * Send uploads stored while offline, now and whenever the connection
+ * returns, for as long as `enabled` is set
+ */
+function useOfflineReplay(client, cache, enabled) {
+  useEffect(() => {
+    if (!enabled || typeof window === 'undefined') return undefined;
+
+    const replay = () => {
+      replayPendingUploads(client, cache).catch(() => {});
+    };
+    if (!isOffline()) replay();
+    window.addEventListener('online', replay);
+    return () => window.removeEventListener('online', replay);
+  }, [client, cache, enabled]);
+}
+
+/**
+ * Hook for file upload with progress tracking using API key
+ * Pass `chunked: true` (and optionally `chunkSize`) to upload large
+ * files in resumable parts, and `preprocess` (here or per upload) to
+ * downscale and re-encode images first. `validation` rules (merged over
+ * the provider's `config.validation`) are checked before anything is
+ * sent; failures throw a ValidationError and fill `validationErrors`.
+ * Mounted useFiles lists show a placeholder entry with progress while a
+ * file uploads, unless `optimistic: false` is set.
+ * With `offline: true` (or the provider's `config.offline`), uploads made
+ * without a connection are stored and sent once it returns; they resolve
+ * to the stored record with `pending: true` instead of the uploaded file.
+ * Without the provider option, stored uploads are sent while a hook that
+ * uses offline storage is mounted.
+ */
+export function useFileUpload(uploadOptions = {}) {
+  const client = useDAMClient();
+  const cache = useDAMCache();
+  const [uploading, setUploading] = useState(false);
+  const [processing, setProcessing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [storedOffline, setStoredOffline] = useState(false);
+  const controllers = useRef(new Set());
+
+  // Abort through cancel() as well as through a caller's own signal
+  const startUpload = (signal) => {
+    const controller = new AbortController();
+    controllers.current.add(controller);
+
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+    return controller;
+  };
+
+  const getRules = (options) => {
+    const rules = options.validation ?? uploadOptions.validation;
+    if (rules === false) return null;
+
+    const merged = { ...client.validation, ...rules };
+    return Object.keys(merged).length ? merged : null;
+  };
+
+  // Check the original files against the upload rules, before preprocessing
+  const checkFiles = async (files, options) => {
+    const rules = getRules(options);
+    if (!rules) return;
+
+    const { rejected } = await validateFiles(files, rules);
+    setValidationErrors(rejected);
+    if (rejected.length) {
+      throw createUploadValidationError(rejected);
+    }
+  };
+
+  // Run the optional image preprocessing before any FormData is built
+  const prepare = async (file, options) => {
+    const preprocess = options.preprocess ?? uploadOptions.preprocess;
+    if (!preprocess) return { file, options };
+
+    setProcessing(true);
+    try {
+      const processed = await preprocessImage(file, preprocess === true ? {} : preprocess);
+      const metadata = processed.metadata
+        ? { ...options.metadata, ...processed.metadata }
+        : options.metadata;
+      return { file: processed.file, options: { ...options, metadata } };
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const canStoreOffline = options => Boolean(options.offline ?? uploadOptions.offline ?? client.offline);
+
+  // Takes prepared { file, options } pairs so each keeps its own metadata
+  const storeOffline = async (prepared) => {
+    const records = [];
+    for (const { file, options } of prepared) {
+      records.push({ ...(await savePendingUpload(file, options)), pending: true });
+    }
+    setStoredOffline(true);
+    return records;
+  };
+
+  // The provider replays when its config enables offline uploads; files
+  // kept because of this hook's own option are replayed from here
+  useOfflineReplay(client, cache, !client.offline && Boolean(uploadOptions.offline || storedOffline));
+
+  const upload = useCallback(async (originalFile, uploadCallOptions = {}) => {
+    const controller = startUpload(uploadCallOptions.signal);
+    setUploading(true);
+    setProgress(0);
+    setError(null);
+
+    let placeholders = null;
+
+    // A caller's onProgress still fires, e.g. for per-file progress in a list
+    const onProgress = (value) => {
+      setProgress(value);
+      if (placeholders) placeholders.setProgress(value);
+      if (uploadCallOptions.onProgress) uploadCallOptions.onProgress(value);
+    };
+
+    let prepared = null;
+
+    try {
+      await checkFiles([originalFile], uploadCallOptions);
+      const storeNow = canStoreOffline(uploadCallOptions) && isOffline();
+      if (!storeNow && uploadOptions.optimistic !== false) {
+        placeholders = showUploadPlaceholders(cache, [originalFile], uploadCallOptions.folderId);
+      }
+
+      prepared = await prepare(originalFile, uploadCallOptions);
+      const { file, options } = prepared;
+      if (storeNow) {
+        return (await storeOffline([prepared]))[0];
+      }
+
+      const send = options.chunked
+        ? client.uploadFileChunked.bind(client)
+        : client.uploadFileWithProgress.bind(client);
+
+      const response = await send(file, {
+        ...options,
+        signal: controller.signal,
+        onProgress,
+      });
+      const result = response.data;
+
+      setProgress(100);
+      if (placeholders) placeholders.settle([result]);
+      cache.invalidate('/public/files', { exact: true });
+      return result;
+    } catch (err) {
+      // The connection dropped mid-upload; keep the file for later if allowed
+      if (err instanceof NetworkError && prepared && canStoreOffline(prepared.options)) {
+        try {
+          return (await storeOffline([prepared]))[0];
+        } catch {
+          // Nowhere to store it, report the network error
+        }
+      }
+      if (!(err instanceof AbortError)) {
+        setError(err);
+      }
+      throw err;
+    } finally {
+      // Rolls the placeholder back when the upload didn't settle it
+      if (placeholders) placeholders.remove();
+      controllers.current.delete(controller);
+      setUploading(false);
+    }
+  }, [client, cache, uploadOptions.optimistic, uploadOptions.offline, JSON.stringify(uploadOptions.preprocess), JSON.stringify(uploadOptions.validation)]);
+
+  const uploadMultiple = useCallback(async (originalFiles, options = {}) => {
+    const controller = startUpload(options.signal);
+    setUploading(true);
+    setProgress(0);
+    setError(null);
+
+    let placeholders = null;
+    let prepared = null;
+    const sent = [];
+
+    try {
+      await checkFiles(originalFiles, options);
+      const storeNow = canStoreOffline(options) && isOffline();
+      if (!storeNow && uploadOptions.optimistic !== false) {
+        placeholders = showUploadPlaceholders(cache, Array.from(originalFiles), options.folderId);
+      }
+
+      prepared = [];
+      for (const file of originalFiles) {
+        prepared.push(await prepare(file, options));
+      }
+
+      if (storeNow) {
+        return await storeOffline(prepared);
+      }
+
+      let data;
+      if (prepared.some(item => item.options.metadata !== options.metadata)) {
+        // Preprocessing added per-file metadata, which a shared
+        // multiple-file request can't carry; send the files one by one
+        for (const item of prepared) {
+          const response = await client.uploadFileWithProgress(item.file, {
+            ...item.options,
+            signal: controller.signal,
+          });
+          sent.push(response.data);
+        }
+        data = sent;
+      } else {
+        const result = await client.uploadMultipleFiles(prepared.map(item => item.file), {
+          ...options,
+          signal: controller.signal,
+        });
+        data = result.data;
+      }
+
+      setProgress(100);
+      if (placeholders && Array.isArray(data) && data.length === prepared.length) {
+        placeholders.settle(data);
+      }
+      cache.invalidate('/public/files', { exact: true });
+      return data;
+    } catch (err) {
+      if (err instanceof NetworkError && prepared && canStoreOffline(options)) {
+        try {
+          // Files already sent one by one are not stored again
+          return [...sent, ...(await storeOffline(prepared.slice(sent.length)))];
+        } catch {
+          // Nowhere to store them, report the network error
+        }
+      }
+      if (!(err instanceof AbortError)) {
+        setError(err);
+      }
+      throw err;
+    } finally {
+      if (placeholders) placeholders.remove();
+      controllers.current.delete(controller);
+      setUploading(false);
+    }
+  }, [client, cache, uploadOptions.optimistic, uploadOptions.offline, JSON.stringify(uploadOptions.preprocess), JSON.stringify(uploadOptions.validation)]);
+
+  const cancel = useCallback(() => {
+    controllers.current.forEach(controller => controller.abort());
+  }, []);
+
+  // Check files without uploading, e.g. to show problems as soon as they're picked
+  const validate = useCallback(async (files, options = {}) => {
+    const rules = getRules(options);
+    const result = rules
+      ? await validateFiles(files, rules, { existing: options.existing })
+      : { valid: Array.from(files), rejected: [] };
+    setValidationErrors(result.rejected);
+    return result;
+  }, [client, JSON.stringify(uploadOptions.validation)]);
+
+  return {
+    upload,
+    uploadMultiple,
+    validate,
+    cancel,
+    uploading,
+    processing,
+    progress,
+    error: error ? error.message : null,
+    errorObject: error,
+    validationErrors,
+    reset: () => {
+      setProgress(0);
+      setError(null);
+      setValidationErrors([]);
+    },
+  };
+}
+
+/**
+ * Hook for uploads stored while offline
+ * Lists them oldest first with their status (pending, uploading or
+ * failed), attempts and last error, and can retry or discard them.
+ * With `offline: true` on the provider config, pending uploads are also
+ * sent on app load and whenever the browser comes back online.
+ */
+export function usePendingUploads() {
+  const client = useDAMClient();
+  const cache = useDAMCache();
+  const [uploads, setUploads] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setUploads(await listPendingUploads());
+      setError(null);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    return subscribePendingUploads(load);
+  }, [load]);
+
+  // Failed uploads are only sent again when retried explicitly
+  const retry = useCallback(id => (
+    replayPendingUploads(client, cache, upload => upload.id === id)
+  ), [client, cache]);
+
+  const retryAll = useCallback(() => (
+    replayPendingUploads(client, cache, () => true)
+  ), [client, cache]);
+
+  const discard = useCallback(id => deletePendingUpload(id), []);
+
+  return {
+    uploads,
+    loading,
+    error: error ? error.message : null,
+    errorObject: error,
+    retry,
+    retryAll,
+    discard,
+    refetch: load,
+  };
+}
+
+let queueItemId = 0;
+
+/**
+ * Hook for uploading many files through a concurrent queue using API key
+ * Every item tracks its own status (queued, uploading, paused, done,
+ * failed, cancelled), progress and result.
+ */
+export function useUploadQueue(queueOptions = {}) {
+  const client = useDAMClient();
+  const cache = useDAMCache();
+  const { concurrency = 3, folderId, metadata, tags } = queueOptions;
+  const [items, setItems] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const controllers = useRef(new Map());
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  const startUpload = useCallback((item) => {
+    const controller = new AbortController();
+    controllers.current.set(item.id, controller);
+    updateItem(item.id, { status: 'uploading', progress: 0, error: null, errorObject: null });
+
+    client.uploadFileWithProgress(item.file, {
+      ...item.options,
+      signal: controller.signal,
+      onProgress: progress => updateItem(item.id, { progress }),
+    })
+      .then((response) => {
+        updateItem(item.id, { status: 'done', progress: 100, result: response.data });
+        cache.invalidate('/public/files', { exact: true });
+      })
+      .catch((err) => {
+        // Cancelled and paused items already have their status set
+        if (!controller.signal.aborted) {
+          updateItem(item.id, { status: 'failed', error: err.message, errorObject: err });
+        }
+      })
+      .finally(() => {
+        controllers.current.delete(item.id);
+      });
+  }, [client, cache, updateItem]);
+
+  useEffect(() => {
+    if (paused) return;
+
+    const active = items.filter(item => item.status === 'uploading').length;
+    items
+      .filter(item => item.status === 'queued')
+      .slice(0, Math.max(0, concurrency - active))
+      .forEach(startUpload);
+  }, [items, paused, concurrency, startUpload]);
+
+  useEffect(() => {
+    const active = controllers.current;
+    return () => {
+      active.forEach(controller => controller.abort());
+    };
+  }, []);
+
+  const add = useCallback((files, options = {}) => {
+    const added = Array.from(files).map(file => ({
+      id: `upload-${++queueItemId}`,
+      file,
+      options: { folderId, metadata, tags, ...options },
+      status: 'queued',
+      progress: 0,
+      result: null,
+      error: null,
+      errorObject: null,
+    }));
+
+    setItems(prev => [...prev, ...added]);
+    return added.map(item => item.id);
+  }, [folderId, JSON.stringify(metadata), JSON.stringify(tags)]);
+
+  const stopItem = (id, status) => {
+    const controller = controllers.current.get(id);
+    setItems(prev => prev.map(item => (
+      item.id === id && ['queued', 'uploading', 'paused'].includes(item.status)
+        ? { ...item, status }
+        : item
+    )));
+    if (controller) controller.abort();
+  };
+
+  const cancel = useCallback((id) => stopItem(id, 'cancelled'), []);
+
+  const cancelAll = useCallback(() => {
+    setItems(prev => prev.map(item => (
+      ['queued', 'uploading', 'paused'].includes(item.status)
+        ? { ...item, status: 'cancelled' }
+        : item
+    )));
+    controllers.current.forEach(controller => controller.abort());
+  }, []);
+
+  // Without an id the whole queue is paused; pausing an item aborts its
+  // upload and resuming starts it over
+  const pause = useCallback((id) => {
+    if (id === undefined) {
+      setPaused(true);
+      return;
+    }
+    stopItem(id, 'paused');
+  }, []);
+
+  const resume = useCallback((id) => {
+    if (id === undefined) {
+      setPaused(false);
+      return;
+    }
+    setItems(prev => prev.map(item => (
+      item.id === id && item.status === 'paused'
+        ? { ...item, status: 'queued', progress: 0 }
+        : item
+    )));
+  }, []);
+
+  const retry = useCallback((id) => {
+    setItems(prev => prev.map(item => (
+      item.id === id && ['failed', 'cancelled'].includes(item.status)
+        ? { ...item, status: 'queued', progress: 0, error: null, errorObject: null }
+        : item
+    )));
+  }, []);
+
+  const retryFailed = useCallback(() => {
+    setItems(prev => prev.map(item => (
+      item.status === 'failed'
+        ? { ...item, status: 'queued', progress: 0, error: null, errorObject: null }
+        : item
+    )));
+  }, []);
+
+  const remove = useCallback((id) => {
+    const controller = controllers.current.get(id);
+    if (controller) controller.abort();
+    setItems(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setItems(prev => prev.filter(item => !['done', 'cancelled'].includes(item.status)));
+  }, []);
+
+  const tracked = items.filter(item => item.status !== 'cancelled');
+  const totalSize = tracked.reduce((sum, item) => sum + (item.file.size || 0), 0);
+  const progress = totalSize
+    ? Math.round(tracked.reduce((sum, item) => sum + (item.file.size || 0) * item.progress, 0) / totalSize)
+    : 0;
+
+  return {
+    items,
+    add,
+    cancel,
+    cancelAll,
+    pause,
+    resume,
+    retry,
+    retryFailed,
+    remove,
+    clearFinished,
+    paused,
+    progress,
+    uploading: items.some(item => item.status === 'uploading'),
+    pending: items.filter(item => ['queued', 'uploading'].includes(item.status)).length,
+  };
+}
+
+let dropzoneItemId = 0;
+
+/**
+ * Find a child folder by name, creating it when it doesn't exist yet
+ */
+async function findOrCreateFolder(client, name, parentId) {
+  const response = await client.getFolders({ parentId });
+  const existing = (response.data || []).find(folder => (
+    folder.name === name && String(folder.parent_id ?? '') === String(parentId ?? '')
+  ));
+  if (existing) return existing.id;
+
+  const created = await client.createFolder(name, parentId);
+  return created.data.id;
+}
+
+/**
+ * Resolve a dropped file's relative path to a DAM folder id below `rootId`.
+ * `folders` caches lookups for one drop so sibling files share a folder.
+ * `pending` holds lookups still running for any drop, so overlapping
+ * drops of the same folder wait for one creation instead of racing.
+ */
+function resolveDropFolder(client, path, rootId, folders, pending) {
+  return path.split('/').filter(Boolean).reduce((parent, name) => parent.then((parentId) => {
+    const key = `${parentId ?? ''}/${name}`;
+    if (!folders.has(key)) {
+      if (!pending.has(key)) {
+        const lookup = findOrCreateFolder(client, name, parentId);
+        pending.set(key, lookup);
+        lookup.then(() => pending.delete(key), () => pending.delete(key));
+      }
+      const shared = pending.get(key);
+      shared.catch(() => folders.delete(key));
+      folders.set(key, shared);
+    }
+    return folders.get(key);
+  }), Promise.resolve(rootId));
+}
+
+const chainHandlers = (own, ours) => (event) => {
+  if (own) own(event);
+  ours(event);
+};
+
+/**
+ * Hook for drag-and-drop, paste and file picker uploads using API key
+ * Spread getRootProps() on the drop area and getInputProps() on its file
+ * input. Files are validated and uploaded through useFileUpload and
+ * listed in `items` with previews and per-file progress. Dropped
+ * folders are recreated as DAM folders below `folderId`.
+ */
+export function useDropzone(options = {}) {
+  const client = useDAMClient();
+  const {
+    folderId = null,
+    metadata,
+    tags,
+    multiple = true,
+    directory = false,
+    mapFolders = true,
+    autoUpload = true,
+    concurrency = 3,
+    disabled = false,
+    pasteOnDocument = false,
+    validation,
+    preprocess,
+    chunked,
+    chunkSize,
+    dedupe,
+    onDrop,
+    onUploaded,
+  } = options;
+  const { upload, validate } = useFileUpload({ validation, preprocess });
+  const [items, setItems] = useState([]);
+  const [isDragActive, setDragActive] = useState(false);
+  const [isFocused, setFocused] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const dragDepth = useRef(0);
+  const controllers = useRef(new Map());
+  const previews = useRef(new Map());
+  const folderLookups = useRef(new Map());
+  const itemsRef = useRef(items);
+  // Files of drops still being validated, counted against maxFiles
+  const validatingCount = useRef(0);
+
+  itemsRef.current = items;
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  const revokePreview = (id) => {
+    const preview = previews.current.get(id);
+    if (preview) URL.revokeObjectURL(preview);
+    previews.current.delete(id);
+  };
+
+  const startUpload = useCallback((item) => {
+    const controller = new AbortController();
+    controllers.current.set(item.id, controller);
+    updateItem(item.id, { status: 'uploading', progress: 0, error: null, errorObject: null });
+
+    const target = mapFolders
+      ? resolveDropFolder(client, item.path, item.folderId, item.folders, folderLookups.current)
+      : Promise.resolve(item.folderId);
+
+    target
+      .then(targetFolderId => upload(item.file, {
+        folderId: targetFolderId,
+        metadata: item.metadata,
+        tags: item.tags,
+        chunked,
+        chunkSize,
+        dedupe,
+        // Already checked when the file was added
+        validation: false,
+        signal: controller.signal,
+        onProgress: progress => updateItem(item.id, { progress }),
+      }))
+      .then((result) => {
+        updateItem(item.id, { status: 'done', progress: 100, result });
+        if (onUploaded) onUploaded(result, item);
+      })
+      .catch((err) => {
+        // Cancelled and removed items already have their status set
+        if (!controller.signal.aborted) {
+          updateItem(item.id, { status: 'failed', error: err.message, errorObject: err });
+        }
+      })
+      .finally(() => {
+        controllers.current.delete(item.id);
+      });
+  }, [client, upload, updateItem, mapFolders, chunked, chunkSize, dedupe, onUploaded]);
+
+  useEffect(() => {
+    const active = items.filter(item => item.status === 'uploading').length;
+    items
+      .filter(item => item.status === 'queued')
+      .slice(0, Math.max(0, concurrency - active))
+      .forEach(startUpload);
+  }, [items, concurrency, startUpload]);
+
+  useEffect(() => {
+    const active = controllers.current;
+    const urls = previews.current;
+    return () => {
+      active.forEach(controller => controller.abort());
+      urls.forEach(url => URL.revokeObjectURL(url));
+    };
+  }, []);
+
+  // Accepts Files or { file, path } pairs from a folder drop
+  const addFiles = useCallback(async (files) => {
+    let entries = Array.from(files).map(entry => (entry.file ? entry : { file: entry, path: '' }));
+    if (!multiple) entries = entries.slice(0, 1);
+    if (!entries.length) return [];
+
+    // maxFiles covers files still waiting or uploading from earlier drops
+    const existing = validatingCount.current + itemsRef.current
+      .filter(item => ['ready', 'queued', 'uploading'].includes(item.status)).length;
+    validatingCount.current += entries.length;
+    let rejected;
+    try {
+      ({ rejected } = await validate(entries.map(entry => entry.file), { existing }));
+    } finally {
+      validatingCount.current -= entries.length;
+    }
+    const reasonsByFile = new Map(rejected.map(({ file, reasons }) => [file, reasons]));
+    const folders = new Map();
+
+    const added = entries.map(({ file, path }) => {
+      const reasons = reasonsByFile.get(file) || [];
+      const item = {
+        id: `drop-${++dropzoneItemId}`,
+        file,
+        path,
+        preview: null,
+        folderId,
+        metadata,
+        tags,
+        folders,
+        status: reasons.length ? 'rejected' : autoUpload ? 'queued' : 'ready',
+        progress: 0,
+        reasons,
+        result: null,
+        error: reasons.length ? reasons.map(reason => reason.message).join('; ') : null,
+        errorObject: null,
+      };
+
+      if (file.type.startsWith('image/') && typeof URL !== 'undefined' && URL.createObjectURL) {
+        item.preview = URL.createObjectURL(file);
+        previews.current.set(item.id, item.preview);
+      }
+      return item;
+    });
+
+    setItems(prev => [...prev, ...added]);
+    if (onDrop) onDrop(added);
+    return added;
+  }, [validate, multiple, autoUpload, folderId, JSON.stringify(metadata), JSON.stringify(tags), onDrop]);
+
+  const collect = (pending) => {
+    setError(null);
+    pending.then(addFiles).catch(setError);
+  };
+
+  const open = useCallback(() => {
+    if (!disabled && inputRef.current) inputRef.current.click();
+  }, [disabled]);
+
+  const handleDragEnter = (event) => {
+    if (disabled || !hasFiles(event.dataTransfer)) return;
+    event.preventDefault();
+    dragDepth.current += 1;
+    setDragActive(true);
+  };
+
+  const handleDragOver = (event) => {
+    if (disabled || !hasFiles(event.dataTransfer)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  };
+
+  // dragleave also fires when the pointer moves onto a child element
+  const handleDragLeave = () => {
+    if (disabled) return;
+    dragDepth.current = Math.max(0, dragDepth.current - 1);
+    if (dragDepth.current === 0) setDragActive(false);
+  };
+
+  const handleDrop = (event) => {
+    if (disabled) return;
+    event.preventDefault();
+    dragDepth.current = 0;
+    setDragActive(false);
+    collect(getDataTransferFiles(event.dataTransfer));
+  };
+
+  const handlePaste = (event) => {
+    const clipboard = event.clipboardData;
+    if (disabled || !clipboard) return;
+
+    const pastedFiles = Array.from(clipboard.items || []).some(item => item.kind === 'file')
+      || (clipboard.files && clipboard.files.length > 0);
+    // Leave plain text pastes alone
+    if (!pastedFiles) return;
+
+    event.preventDefault();
+    collect(getDataTransferFiles(clipboard));
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.target !== event.currentTarget) return;
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      open();
+    }
+  };
+
+  const pasteHandler = useRef(handlePaste);
+  pasteHandler.current = handlePaste;
+
+  useEffect(() => {
+    if (!pasteOnDocument || typeof document === 'undefined') return undefined;
+
+    const listener = event => pasteHandler.current(event);
+    document.addEventListener('paste', listener);
+    return () => document.removeEventListener('paste', listener);
+  }, [pasteOnDocument]);
+
+  const getRootProps = (props = {}) => ({
+    role: 'button',
+    'aria-label': directory ? 'Upload folders' : 'Upload files',
+    ...props,
+    tabIndex: disabled ? -1 : 0,
+    'aria-disabled': disabled || undefined,
+    onClick: chainHandlers(props.onClick, open),
+    onKeyDown: chainHandlers(props.onKeyDown, handleKeyDown),
+    onFocus: chainHandlers(props.onFocus, () => setFocused(true)),
+    onBlur: chainHandlers(props.onBlur, () => setFocused(false)),
+    onDragEnter: chainHandlers(props.onDragEnter, handleDragEnter),
+    onDragOver: chainHandlers(props.onDragOver, handleDragOver),
+    onDragLeave: chainHandlers(props.onDragLeave, handleDragLeave),
+    onDrop: chainHandlers(props.onDrop, handleDrop),
+    onPaste: pasteOnDocument ? props.onPaste : chainHandlers(props.onPaste, handlePaste),
+  });
+
+  const accept = validation?.accept ?? client.validation?.accept;
+
+  const getInputProps = (props = {}) => ({
+    ...props,
+    ref: inputRef,
+    type: 'file',
+    multiple: multiple || directory,
+    accept: Array.isArray(accept) ? accept.join(',') : accept,
+    disabled,
+    tabIndex: -1,
+    style: { display: 'none', ...props.style },
+    // The root opens the picker; don't let the input's own click bubble back to it
+    onClick: (event) => {
+      event.stopPropagation();
+      if (props.onClick) props.onClick(event);
+    },
+    onChange: (event) => {
+      collect(Promise.resolve(getInputFiles(event.target.files)));
+      // Let the same file be picked again
+      event.target.value = '';
+    },
+    ...(directory ? { webkitdirectory: '', directory: '' } : {}),
+  });
+
+  const start = useCallback(() => {
+    setItems(prev => prev.map(item => (item.status === 'ready' ? { ...item, status: 'queued' } : item)));
+  }, []);
+
+  const cancel = useCallback((id) => {
+    const controller = controllers.current.get(id);
+    setItems(prev => prev.map(item => (
+      item.id === id && ['ready', 'queued', 'uploading'].includes(item.status)
+        ? { ...item, status: 'cancelled' }
+        : item
+    )));
+    if (controller) controller.abort();
+  }, []);
+
+  const retry = useCallback((id) => {
+    setItems(prev => prev.map(item => (
+      item.id === id && ['failed', 'cancelled'].includes(item.status)
+        ? { ...item, status: 'queued', progress: 0, error: null, errorObject: null }
+        : item
+    )));
+  }, []);
+
+  const remove = useCallback((id) => {
+    const controller = controllers.current.get(id);
+    if (controller) controller.abort();
+    revokePreview(id);
+    setItems(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  const clear = useCallback(() => {
+    controllers.current.forEach(controller => controller.abort());
+    previews.current.forEach(url => URL.revokeObjectURL(url));
+    previews.current.clear();
+    setItems([]);
+  }, []);
+
+  const tracked = items.filter(item => !['rejected', 'cancelled'].includes(item.status));
+  const totalSize = tracked.reduce((sum, item) => sum + (item.file.size || 0), 0);
+  const progress = totalSize
+    ? Math.round(tracked.reduce((sum, item) => sum + (item.file.size || 0) * item.progress, 0) / totalSize)
+    : 0;
+
+  return {
+    getRootProps,
+    getInputProps,
+    open,
+    isDragActive,
+    isFocused,
+    items,
+    addFiles,
+    start,
+    cancel,
+    retry,
+    remove,
+    clear,
+    progress,
+    uploading: items.some(item => item.status === 'uploading'),
+    error: error ? error.message : null,
+    errorObject: error,
+  };
+}
+
+const FILE_OPERATIONS = ['deleteFile', 'moveFile', 'renameFile', 'updateMetadata'];
+
+/**
+ * Hook for file operations using API key
+ * Each operation tracks its own loading and error state in `status`.
+ * Deleted files leave mounted useFiles lists at once and come back if
+ * the request fails; pass `optimistic: false` to wait for the server.
+ */
+export function useFileOperations(options = {}) {
+  const { optimistic = true } = options;
+  const client = useDAMClient();
+  const cache = useDAMCache();
+  const [operations, setOperations] = useState({});
+  const [error, setError] = useState(null);
+
+  const runOperation = useCallback(async (name, operation) => {
+    setError(null);
+    setOperations(prev => ({
+      ...prev,
+      [name]: {
+        pending: (prev[name] ? prev[name].pending : 0) + 1,
+        error: null,
+      },
+    }));
+
+    let failure = null;
+
+    try {
+      return await operation();
+    } catch (err) {
+      failure = err;
+      setError(err);
+      throw err;
+    } finally {
+      setOperations(prev => ({
+        ...prev,
+        [name]: {
+          pending: prev[name].pending - 1,
+          error: failure,
+        },
+      }));
+    }
+  }, []);
+
+  const deleteFile = useCallback((fileId) => {
+    const removeFile = data => updateFileLists(data, files => files.filter(file => String(file.id) !== String(fileId)));
+    const change = optimistic ? cache.addOptimistic('/public/files', removeFile) : null;
+
+    return runOperation('deleteFile', async () => {
+      try {
+        await client.deleteFile(fileId);
+        cache.updateData('/public/files', removeFile);
+      } finally {
+        // On failure this rolls the file back into the lists
+        if (change) change.remove();
+      }
+      cache.invalidate('/public/files', { exact: true });
+    });
+  }, [client, cache, runOperation, optimistic]);
+
+  const moveFile = useCallback((fileId, folderId) => {
+    return runOperation('moveFile', async () => {
+      const result = await client.moveFile(fileId, folderId);
+      cache.invalidate('/public/files', { exact: true });
+      cache.invalidate(`/public/files/${fileId}`);
+      return result.data;
+    });
+  }, [client, cache, runOperation]);
+
+  const renameFile = useCallback((fileId, name, options = {}) => {
+    return runOperation('renameFile', async () => {
+      const result = await client.renameFile(fileId, name, options);
+      cache.invalidate('/public/files', { exact: true });
+      cache.invalidate(`/public/files/${fileId}`);
+      return result.data;
+    });
+  }, [client, cache, runOperation]);
+
+  const updateMetadata = useCallback((fileId, metadata, options = {}) => {
+    return runOperation('updateMetadata', async () => {
+      const result = await client.updateMetadata(fileId, metadata, options);
+      cache.invalidate('/public/files', { exact: true });
+      cache.invalidate(`/public/files/${fileId}`);
+      return result.data;
+    });
+  }, [client, cache, runOperation]);
+
+  const status = {};
+  FILE_OPERATIONS.forEach(name => {
+    const state = operations[name];
+    status[name] = {
+      loading: Boolean(state && state.pending > 0),
+      error: state && state.error ? state.error.message : null,
+      errorObject: state ? state.error : null,
+    };
+  });
+
+  return {
+    deleteFile,
+    moveFile,
+    renameFile,
+    updateMetadata,
+    status,
+    loading: FILE_OPERATIONS.some(name => status[name].loading),
+    error: error ? error.message : null,
+    errorObject: error,
+  };
+}
+
+const DEFAULT_UNDO_DELAY = 5000;
+
+/**
+ * Hook for operations on many files at once using API key
+ * Tracks overall `progress` (0-100) and a `results` entry
+ * { id, success, data, error } per file. Deleted files leave mounted
+ * lists at once, but nothing is sent for `undoDelay` ms (default 5000)
+ * so `undo()` can bring them back; `pendingDelete` describes the delete
+ * waiting to be sent. Pass `undoDelay: 0` to delete right away.
+ */
+export function useBulkOperations(options = {}) {
+  const { undoDelay = DEFAULT_UNDO_DELAY, concurrency } = options;
+  const client = useDAMClient();
+  const cache = useDAMCache();
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const controllers = useRef(new Set());
+  const pendingRef = useRef(null);
+
+  const run = useCallback(async (operation) => {
+    const controller = new AbortController();
+    controllers.current.add(controller);
+    setRunning(true);
+    setProgress(0);
+    setResults([]);
+    setError(null);
+
+    try {
+      const summary = await operation({
+        concurrency,
+        signal: controller.signal,
+        onProgress: setProgress,
+        onResult: result => setResults(prev => [...prev, result]),
+      });
+
+      setResults(summary.results);
+      if (summary.failed.length) {
+        setError(new DAMError(`${summary.failed.length} of ${summary.results.length} files failed`));
+      }
+      return summary;
+    } catch (err) {
+      if (!(err instanceof AbortError)) {
+        setError(err);
+      }
+      throw err;
+    } finally {
+      controllers.current.delete(controller);
+      setRunning(false);
+    }
+  }, [concurrency]);
+
+  const invalidateFiles = (ids) => {
+    cache.invalidate('/public/files', { exact: true });
+    ids.forEach(id => cache.invalidate(`/public/files/${id}`));
+  };
+
+  const deleteFiles = useCallback((fileIds, callOptions = {}) => {
+    const ids = Array.from(fileIds);
+    const delay = callOptions.undoDelay ?? undoDelay;
+    const removeFiles = removed => data => updateFileLists(data, files => (
+      files.filter(file => !removed.has(String(file.id)))
+    ));
+    const change = cache.addOptimistic('/public/files', removeFiles(new Set(ids.map(String))));
+
+    // Only one delete waits at a time; a new one sends the previous at once
+    if (pendingRef.current) pendingRef.current.commit();
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const send = async () => {
+        clearTimeout(timer);
+        pendingRef.current = null;
+        setPendingDelete(null);
+
+        try {
+          const summary = await run(batchOptions => client.deleteFiles(ids, batchOptions));
+          cache.updateData('/public/files', removeFiles(new Set(summary.succeeded.map(String))));
+          resolve(summary);
+        } catch (err) {
+          reject(err);
+        } finally {
+          // Files that failed to delete come back into the lists
+          change.remove();
+          invalidateFiles(ids);
+        }
+      };
+
+      if (!delay) {
+        send();
+        return;
+      }
+
+      timer = setTimeout(send, delay);
+      pendingRef.current = {
+        commit: send,
+        undo: () => {
+          clearTimeout(timer);
+          pendingRef.current = null;
+          setPendingDelete(null);
+          change.remove();
+          resolve({ results: [], succeeded: [], failed: [], undone: true });
+        },
+      };
+      setPendingDelete({ ids, expiresAt: Date.now() + delay });
+    });
+  }, [client, cache, run, undoDelay]);
+
+  const moveFiles = useCallback(async (fileIds, folderId) => {
+    const ids = Array.from(fileIds);
+    try {
+      return await run(batchOptions => client.moveFiles(ids, folderId, batchOptions));
+    } finally {
+      invalidateFiles(ids);
+    }
+  }, [client, cache, run]);
+
+  const updateMetadata = useCallback(async (fileIds, metadata, callOptions = {}) => {
+    const ids = Array.from(fileIds);
+    try {
+      return await run(batchOptions => client.updateFilesMetadata(ids, metadata, {
+        ...callOptions,
+        ...batchOptions,
+      }));
+    } finally {
+      invalidateFiles(ids);
+    }
+  }, [client, cache, run]);
+
+  const undo = useCallback(() => {
+    if (pendingRef.current) pendingRef.current.undo();
+  }, []);
+
+  // Send a waiting delete now instead of at the end of the undo window
+  const commitDelete = useCallback(() => {
+    if (pendingRef.current) pendingRef.current.commit();
+  }, []);
+
+  const cancel = useCallback(() => {
+    controllers.current.forEach(controller => controller.abort());
+  }, []);
+
+  // Leaving the page doesn't undo a delete the user already asked for
+  useEffect(() => () => {
+    if (pendingRef.current) pendingRef.current.commit();
+  }, []);
+
+  return {
+    deleteFiles,
+    moveFiles,
+    updateMetadata,
+    undo,
+    commitDelete,
+    cancel,
+    pendingDelete,
+    running,
+    progress,
+    results,
+    succeeded: results.filter(result => result.success).map(result => result.id),
+    failed: results.filter(result => !result.success).map(result => result.id),
+    error: error ? error.message : null,
+    errorObject: error,
+    reset: () => {
+      setProgress(0);
+      setResults([]);
+      setError(null);
+    },
+  };
+}
+
+/**
+ * Hand a Blob to the browser as a download with the given file name
+ */
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking at once can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Ask where to save a file, where the browser supports it.
+ * Must run before any other await so the click still counts as a user gesture.
+ */
+async function pickSaveFile(filename) {
+  if (typeof window === 'undefined' || typeof window.showSaveFilePicker !== 'function') {
+    return null;
+  }
+
+  try {
+    return await window.showSaveFilePicker({
+      suggestedName: filename,
+      types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }],
+    });
+  } catch (err) {
+    if (err && err.name === 'AbortError') {
+      throw new AbortError('Save cancelled', { cause: err });
+    }
+    // Picker unavailable here, e.g. in an iframe; fall back to a Blob download
+    return null;
+  }
+}
+
 /**
- * Hook to access DAM client
+ * Collect every file of a folder, following the list's pagination
  */
-export function useDAMClient() {
-  const context = useContext(DAMContext);
-  if (!context) {
-    throw new Error('useDAMClient must be used within a DAMProvider');
+async function listFolderFiles(client, folderId, signal) {
+  const limit = 100;
+  const pages = [];
+  let pageParam = {};
+
+  while (pageParam) {
+    const page = await client.getFiles({ folderId, limit, ...pageParam, signal });
+    pages.push(page);
+    pageParam = page.data.length ? getNextPageParam(page, pages, limit) : null;
   }
-  return context;
+  return pages.flatMap(page => page.data);
 }
 
-// ==================== FILE HOOKS ====================
-
 /**
- * Hook for listing files using API key
+ * Hook for downloading original files using API key
+ * Requests carry the API key or token headers, which a plain link can't.
+ * `download(fileId)` saves one file under its original name;
+ * `downloadZip(files)` and `downloadFolder(folderId)` save several as a
+ * ZIP built in the browser. Where showSaveFilePicker exists the ZIP is
+ * streamed straight to disk; elsewhere it is collected in memory first.
  */
-export function useFiles(options = {}) {
+export function useDownload() {
   const client = useDAMClient();
-  const [files, setFiles] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [progress, setProgress] = useState(0);
   const [error, setError] = useState(null);
-  const [pagination, setPagination] = useState(null);
+  const controllers = useRef(new Set());
 
-  const fetchFiles = useCallback(async () => {
-    setLoading(true);
+  const run = useCallback(async (operation) => {
+    const controller = new AbortController();
+    controllers.current.add(controller);
+    setDownloading(true);
+    setProgress(0);
     setError(null);
 
     try {
-      const data = await client.getFiles(options);
-      setFiles(data.data);
-      setPagination(data.pagination);
+      return await operation(controller.signal);
     } catch (err) {
-      setError(err.message);
+      // Streams report cancellation with their own errors
+      if (controller.signal.aborted && !(err instanceof AbortError)) {
+        throw new AbortError('Download cancelled', { cause: err });
+      }
+      if (!(err instanceof AbortError)) {
+        setError(err);
+      }
+      throw err;
     } finally {
-      setLoading(false);
+      controllers.current.delete(controller);
+      setDownloading(false);
     }
-  }, [client, JSON.stringify(options)]);
+  }, []);
 
-  useEffect(() => {
-    fetchFiles();
-  }, [fetchFiles]);
+  const download = useCallback((fileId, options = {}) => run(async (signal) => {
+    const result = await client.downloadFile(fileId, {
+      filename: options.filename,
+      signal,
+      onProgress: setProgress,
+    });
+    saveBlob(result.blob, options.filename || result.filename);
+    return result;
+  }), [client, run]);
+
+  const saveZip = async (getFiles, filename) => {
+    const handle = await pickSaveFile(filename);
+
+    return run(async (signal) => {
+      const files = await getFiles(signal);
+      const stream = client.exportZip(files, { signal, onProgress: setProgress });
+
+      if (handle) {
+        await stream.pipeTo(await handle.createWritable(), { signal });
+      } else {
+        const blob = await new Response(stream).blob();
+        saveBlob(new Blob([blob], { type: 'application/zip' }), filename);
+      }
+      return { filename, count: files.length };
+    });
+  };
+
+  const downloadZip = useCallback((files, options = {}) => (
+    saveZip(async () => Array.from(files), options.filename || 'files.zip')
+  ), [client, run]);
+
+  const downloadFolder = useCallback((folderId, options = {}) => (
+    saveZip(signal => listFolderFiles(client, folderId, signal), options.filename || 'folder.zip')
+  ), [client, run]);
+
+  const cancel = useCallback(() => {
+    controllers.current.forEach(controller => controller.abort());
+  }, []);
 
   return {
-    files,
-    loading,
-    error,
-    pagination,
-    refetch: fetchFiles,
+    download,
+    downloadZip,
+    downloadFolder,
+    cancel,
+    downloading,
+    progress,
+    error: error ? error.message : null,
+    errorObject: error,
   };
 }
 
+// Backoff for signing again after `signUrls` failed for a passing reason
+const SIGN_RETRY_POLICY = {
+  baseDelay: 1000,
+  maxDelay: 60000,
+  retryOn: [429, 500, 502, 503, 504],
+  retryNetworkErrors: true,
+};
+
 /**
- * Hook for getting a single file using API key
+ * Build URLs for several transforms of one file.
+ * With `signUrls` in the config the URLs are signed together (null until
+ * signed) and re-signed before the first of them expires. Signing that
+ * failed on the network, a 429 or a 5xx is retried with backoff; other
+ * errors stop it and go to `onError`.
  */
-export function useFile(fileId) {
+function useTransformUrls(fileId, transformList, onError) {
   const client = useDAMClient();
-  const [file, setFile] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const signed = Boolean(client.signUrls);
+  const [signedUrls, setSignedUrls] = useState(null);
+  const listKey = JSON.stringify(transformList);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
 
-  const fetchFile = useCallback(async () => {
-    if (!fileId) {
-      setLoading(false);
-      return;
+  useEffect(() => {
+    if (!signed || !fileId) {
+      setSignedUrls(null);
+      return undefined;
     }
 
-    setLoading(true);
+    let active = true;
+    let timer = null;
+    let attempt = 0;
+
+    const sign = async () => {
+      try {
+        const results = await Promise.all(
+          transformList.map(transformOptions => client.getSignedFileUrl(fileId, transformOptions))
+        );
+        if (!active) return;
+
+        attempt = 0;
+        setSignedUrls(results.map(result => result.url));
+        const refreshAt = Math.min(...results.map(result => result.refreshAt));
+        timer = setTimeout(sign, Math.max(1000, refreshAt - Date.now()));
+      } catch (err) {
+        if (!active) return;
+
+        setSignedUrls(null);
+        if (!isRetryable(err, SIGN_RETRY_POLICY)) {
+          if (onErrorRef.current) onErrorRef.current(err);
+          return;
+        }
+        attempt += 1;
+        timer = setTimeout(sign, getRetryDelay(err, attempt, SIGN_RETRY_POLICY));
+      }
+    };
+
+    sign();
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [client, signed, fileId, listKey]);
+
+  if (!signed) {
+    return transformList.map(transformOptions => client.getFileUrl(fileId, transformOptions));
+  }
+  return signedUrls || transformList.map(() => null);
+}
+
+/**
+ * Hook for generating file URLs
+ * With `signUrls` in the config, returns a signed URL (null until it is
+ * signed) and re-signs it before it expires. `options.onError` gets
+ * signing errors that a retry won't fix, such as a ValidationError.
+ */
+export function useFileUrl(fileId, transformOptions = null, options = {}) {
+  return useTransformUrls(fileId, [transformOptions], options.onError)[0];
+}
+
+/**
+ * Hook for testing API connection
+ */
+export function useTestConnection() {
+  const client = useDAMClient();
+  const [testing, setTesting] = useState(false);
+  const [connected, setConnected] = useState(false);
+  const [error, setError] = useState(null);
+
+  const testConnection = useCallback(async () => {
+    setTesting(true);
     setError(null);
 
     try {
-      const data = await client.getFile(fileId);
-      setFile(data.data);
+      await client.testConnection();
+      setConnected(true);
+      return true;
     } catch (err) {
-      setError(err.message);
+      setError(err);
+      setConnected(false);
+      return false;
     } finally {
-      setLoading(false);
+      setTesting(false);
     }
-  }, [client, fileId]);
-
-  useEffect(() => {
-    fetchFile();
-  }, [fetchFile]);
+  }, [client]);
 
   return {
-    file,
-    loading,
-    error,
-    refetch: fetchFile,
+    testConnection,
+    testing,
+    connected,
+    error: error ? error.message : null,
+    errorObject: error,
   };
 }
 
+// ==================== FOLDER HOOKS ====================
+
 /**
- * Hook for file upload with progress tracking using API key
+ * Build a nested folder tree from a flat folder list.
+ * Parents are resolved by parent_id, falling back to the folder path.
+ */
+function buildFolderTree(folders) {
+  const nodes = new Map();
+  const byPath = new Map();
+
+  folders.forEach(folder => {
+    const node = { ...folder, children: [] };
+    nodes.set(folder.id, node);
+    if (folder.path) {
+      byPath.set(folder.path.replace(/\/+$/, ''), node);
+    }
+  });
+
+  const roots = [];
+
+  nodes.forEach(node => {
+    let parent = null;
+
+    if (node.parent_id != null) {
+      parent = nodes.get(node.parent_id) || null;
+    } else if (node.path) {
+      const parentPath = node.path.replace(/\/+$/, '').replace(/\/[^/]*$/, '');
+      parent = parentPath ? byPath.get(parentPath) || null : null;
+    }
+
+    if (parent && parent !== node) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+}
+
+/**
+ * Hook for listing and managing folders using API key
  */
-export function useFileUpload() {
+export function useFolders(options = {}) {
   const client = useDAMClient();
-  const [uploading, setUploading] = useState(false);
-  const [progress, setProgress] = useState(0);
+  const [folders, setFolders] = useState([]);
+  const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const request = useLatestRequest();
 
-  const upload = useCallback(async (file, options = {}) => {
-    setUploading(true);
-    setProgress(0);
+  const fetchFolders = useCallback(async () => {
+    const controller = request.start();
+    setLoading(true);
     setError(null);
 
     try {
-      // Use XMLHttpRequest for progress tracking
-      const result = await new Promise((resolve, reject) => {
-        const xhr = new XMLHttpRequest();
-        const url = `${client.baseUrl}/public/single`;
-
-        xhr.upload.addEventListener('progress', (e) => {
-          if (e.lengthComputable) {
-            const percent = Math.round((e.loaded / e.total) * 100);
-            setProgress(percent);
-          }
-        });
+      const data = await client.getFolders({ ...options, signal: controller.signal });
+      setFolders(data.data);
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        setError(err);
+      }
+    } finally {
+      if (!controller.signal.aborted) {
+        setLoading(false);
+      }
+    }
+  }, [client, request, JSON.stringify(options)]);
 
-        xhr.addEventListener('load', () => {
-          if (xhr.status >= 200 && xhr.status < 300) {
-            try {
-              const response = JSON.parse(xhr.responseText);
-              resolve(response.data);
-            } catch (err) {
-              reject(new Error('Invalid JSON response'));
-            }
-          } else {
-            try {
-              const error = JSON.parse(xhr.responseText);
-              reject(new Error(error.message || 'Upload failed'));
-            } catch {
-              reject(new Error(`Upload failed with status ${xhr.status}`));
-            }
-          }
-        });
+  useEffect(() => {
+    fetchFolders();
+  }, [fetchFolders]);
 
-        xhr.addEventListener('error', () => {
-          reject(new Error('Network error during upload'));
-        });
+  useDAMEvents((event) => {
+    const folder = event.data;
+    if (!folder || folder.id == null || !event.type.startsWith('folder.')) return;
 
-        xhr.open('POST', url);
-        xhr.setRequestHeader('X-API-Key-ID', client.keyId);
-        xhr.setRequestHeader('X-API-Key-Secret', client.keySecret);
-        
-        const formData = new FormData();
-        formData.append('file', file);
-        if (options.folderId) {
-          formData.append('folder_id', options.folderId);
-        }
-        if (options.metadata) {
-          formData.append('metadata', JSON.stringify(options.metadata));
-        }
+    setFolders((prev) => {
+      const others = prev.filter(item => item.id !== folder.id);
+      const existing = prev.find(item => item.id === folder.id);
+      const outsideParent = options.parentId != null
+        && folder.parent_id !== undefined
+        && String(folder.parent_id ?? '') !== String(options.parentId);
 
-        xhr.send(formData);
-      });
+      if (event.type === 'folder.deleted' || outsideParent) {
+        return existing ? others : prev;
+      }
+      if (existing) {
+        return prev.map(item => (item.id === folder.id ? { ...item, ...folder } : item));
+      }
+      return [...prev, folder];
+    });
+  });
 
-      setProgress(100);
-      return result;
+  const createFolder = useCallback(async (name, parentId = null) => {
+    setError(null);
+
+    try {
+      const result = await client.createFolder(name, parentId);
+      await fetchFolders();
+      return result.data;
     } catch (err) {
-      setError(err.message);
+      setError(err);
       throw err;
-    } finally {
-      setUploading(false);
     }
-  }, [client]);
+  }, [client, fetchFolders]);
 
-  const uploadMultiple = useCallback(async (files, options = {}) => {
-    setUploading(true);
-    setProgress(0);
+  const renameFolder = useCallback(async (folderId, name) => {
     setError(null);
 
     try {
-      const result = await client.uploadMultipleFiles(files, options);
-      setProgress(100);
+      const result = await client.renameFolder(folderId, name);
+      await fetchFolders();
       return result.data;
     } catch (err) {
-      setError(err.message);
+      setError(err);
       throw err;
-    } finally {
-      setUploading(false);
     }
-  }, [client]);
+  }, [client, fetchFolders]);
+
+  const deleteFolder = useCallback(async (folderId) => {
+    setError(null);
+
+    try {
+      await client.deleteFolder(folderId);
+      await fetchFolders();
+    } catch (err) {
+      setError(err);
+      throw err;
+    }
+  }, [client, fetchFolders]);
+
+  const tree = useMemo(() => buildFolderTree(folders), [folders]);
 
   return {
-    upload,
-    uploadMultiple,
-    uploading,
-    progress,
-    error,
-    reset: () => {
-      setProgress(0);
-      setError(null);
-    },
+    folders,
+    tree,
+    loading,
+    error: error ? error.message : null,
+    errorObject: error,
+    refetch: fetchFolders,
+    createFolder,
+    renameFolder,
+    deleteFolder,
   };
 }
 
+// ==================== TAG AND COLLECTION HOOKS ====================
+
 /**
- * Hook for file operations using API key
+ * Run tag or collection changes, then `invalidate` what they affect.
+ * Keeps the last failure so hooks can report it next to load errors.
  */
-export function useFileOperations() {
-  const client = useDAMClient();
-  const [loading, setLoading] = useState(false);
+function useMutation() {
   const [error, setError] = useState(null);
 
-  const deleteFile = useCallback(async (fileId) => {
-    setLoading(true);
+  const mutate = useCallback(async (operation, invalidate) => {
     setError(null);
 
     try {
-      await client.deleteFile(fileId);
+      const result = await operation();
+      invalidate();
+      return result ? result.data : undefined;
     } catch (err) {
-      setError(err.message);
+      setError(err);
       throw err;
-    } finally {
-      setLoading(false);
     }
-  }, [client]);
+  }, []);
+
+  return { mutate, error };
+}
+
+/**
+ * Hook for listing and managing tags using API key
+ * `addTags`/`removeTags` attach or detach tags (names or ids) on a file;
+ * file lists and the file refetch afterwards. Accepts `search`,
+ * `staleTime` and `cacheTime` options.
+ */
+export function useTags(options = {}) {
+  const client = useDAMClient();
+  const cache = useDAMCache();
+  const { staleTime, cacheTime, ...query } = options;
+
+  const { data, error, loading, fetching, refetch } = useCachedQuery(
+    '/public/tags',
+    query,
+    signal => client.getTags({ ...query, signal }),
+    { staleTime, cacheTime }
+  );
+
+  const { mutate, error: mutationError } = useMutation();
+
+  const invalidateTags = useCallback(() => {
+    cache.invalidate('/public/tags', { exact: true });
+  }, [cache]);
+
+  // Files show their tags, and tag-filtered lists change with them
+  const invalidateTagged = useCallback(() => {
+    cache.invalidate('/public/tags', { exact: true });
+    cache.invalidate('/public/files');
+  }, [cache]);
+
+  const createTag = useCallback((name, tagOptions) => (
+    mutate(() => client.createTag(name, tagOptions), invalidateTags)
+  ), [client, mutate, invalidateTags]);
+
+  const updateTag = useCallback((tagId, changes) => (
+    mutate(() => client.updateTag(tagId, changes), invalidateTagged)
+  ), [client, mutate, invalidateTagged]);
+
+  const deleteTag = useCallback(tagId => (
+    mutate(() => client.deleteTag(tagId), invalidateTagged)
+  ), [client, mutate, invalidateTagged]);
+
+  const addTags = useCallback((fileId, tags) => (
+    mutate(() => client.addFileTags(fileId, tags), invalidateTagged)
+  ), [client, mutate, invalidateTagged]);
+
+  const removeTags = useCallback((fileId, tags) => (
+    mutate(() => client.removeFileTags(fileId, tags), invalidateTagged)
+  ), [client, mutate, invalidateTagged]);
+
+  const failure = mutationError || error;
 
   return {
-    deleteFile,
+    tags: data ? data.data : [],
     loading,
-    error,
+    fetching,
+    error: failure ? failure.message : null,
+    errorObject: failure,
+    refetch,
+    createTag,
+    updateTag,
+    deleteTag,
+    addTags,
+    removeTags,
   };
 }
 
 /**
- * Hook for generating file URLs
+ * Hook for listing and managing collections using API key
+ * Collections are ordered sets of files from any folder; list one with
+ * useFiles({ collectionId }). `reorder` rearranges mounted lists of the
+ * collection at once and rolls back if the server refuses.
  */
-export function useFileUrl(fileId, transformOptions = null) {
+export function useCollections(options = {}) {
   const client = useDAMClient();
-  return client.getFileUrl(fileId, transformOptions);
+  const cache = useDAMCache();
+  const { staleTime, cacheTime } = options;
+
+  const { data, error, loading, fetching, refetch } = useCachedQuery(
+    '/public/collections',
+    {},
+    signal => client.getCollections({ signal }),
+    { staleTime, cacheTime }
+  );
+
+  const { mutate, error: mutationError } = useMutation();
+
+  const invalidate = useCallback(() => {
+    cache.invalidate('/public/collections');
+  }, [cache]);
+
+  // Changing a collection's files also changes lists filtered by it
+  const invalidateWithFiles = useCallback(() => {
+    cache.invalidate('/public/collections');
+    cache.invalidate('/public/files', { exact: true });
+  }, [cache]);
+
+  const createCollection = useCallback((name, collectionOptions) => (
+    mutate(() => client.createCollection(name, collectionOptions), invalidate)
+  ), [client, mutate, invalidate]);
+
+  const updateCollection = useCallback((collectionId, changes) => (
+    mutate(() => client.updateCollection(collectionId, changes), invalidate)
+  ), [client, mutate, invalidate]);
+
+  const deleteCollection = useCallback(collectionId => (
+    mutate(() => client.deleteCollection(collectionId), invalidateWithFiles)
+  ), [client, mutate, invalidateWithFiles]);
+
+  const addFiles = useCallback((collectionId, fileIds, addOptions) => (
+    mutate(() => client.addToCollection(collectionId, fileIds, addOptions), invalidateWithFiles)
+  ), [client, mutate, invalidateWithFiles]);
+
+  const removeFiles = useCallback((collectionId, fileIds) => (
+    mutate(() => client.removeFromCollection(collectionId, fileIds), invalidateWithFiles)
+  ), [client, mutate, invalidateWithFiles]);
+
+  const reorder = useCallback(async (collectionId, fileIds) => {
+    const order = new Map(fileIds.map((id, index) => [String(id), index]));
+    const position = file => order.get(String(file.id)) ?? order.size;
+    const sortLists = (listData, params) => (
+      String(params.collectionId ?? '') === String(collectionId) && !params.sort
+        ? updateFileLists(listData, files => [...files].sort((a, b) => position(a) - position(b)))
+        : listData
+    );
+    const change = cache.addOptimistic('/public/files', sortLists);
+
+    try {
+      const result = await mutate(() => client.reorderCollection(collectionId, fileIds), invalidateWithFiles);
+      // Keep the new order until the lists refetch
+      cache.updateData('/public/files', sortLists);
+      return result;
+    } finally {
+      change.remove();
+    }
+  }, [client, cache, mutate, invalidateWithFiles]);
+
+  const failure = mutationError || error;
+
+  return {
+    collections: data ? data.data : [],
+    loading,
+    fetching,
+    error: failure ? failure.message : null,
+    errorObject: failure,
+    refetch,
+    createCollection,
+    updateCollection,
+    deleteCollection,
+    addFiles,
+    removeFiles,
+    reorder,
+  };
 }
 
+// ==================== STATS HOOKS ====================
+
 /**
- * Hook for testing API connection
+ * Hook for storage and usage statistics using API key
+ * Pass `pollInterval` (ms) to refresh the stats in the background.
  */
-export function useTestConnection() {
+export function useDashboardStats(options = {}) {
   const client = useDAMClient();
-  const [testing, setTesting] = useState(false);
-  const [connected, setConnected] = useState(false);
+  const { pollInterval = 0 } = options;
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const request = useLatestRequest();
 
-  const testConnection = useCallback(async () => {
-    setTesting(true);
+  const fetchStats = useCallback(async (background = false) => {
+    const controller = request.start();
+    if (!background) {
+      setLoading(true);
+    }
     setError(null);
 
     try {
-      await client.testConnection();
-      setConnected(true);
-      return true;
+      const data = await client.getStats({ signal: controller.signal });
+      setStats(data.data);
     } catch (err) {
-      setError(err.message);
-      setConnected(false);
-      return false;
+      if (!controller.signal.aborted) {
+        setError(err);
+      }
     } finally {
-      setTesting(false);
+      if (!controller.signal.aborted) {
+        setLoading(false);
+      }
     }
-  }, [client]);
+  }, [client, request]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  useEffect(() => {
+    if (!pollInterval) return undefined;
+
+    const timer = setInterval(() => fetchStats(true), pollInterval);
+    return () => clearInterval(timer);
+  }, [fetchStats, pollInterval]);
 
   return {
-    testConnection,
-    testing,
-    connected,
-    error,
+    stats,
+    overview: stats ? stats.overview : null,
+    byMimeType: stats ? stats.byMimeType || stats.by_mime_type || null : null,
+    byFolder: stats ? stats.byFolder || stats.by_folder || null : null,
+    loading,
+    error: error ? error.message : null,
+    errorObject: error,
+    refetch: () => fetchStats(),
+  };
+}
+
+// ==================== COMPONENTS ====================
+
+const DEFAULT_IMAGE_WIDTHS = [320, 640, 960, 1280, 1920];
+const DEFAULT_IMAGE_FORMATS = ['avif', 'webp', 'jpeg'];
+
+const supportsNativeLazyLoading = () => (
+  typeof HTMLImageElement !== 'undefined' && 'loading' in HTMLImageElement.prototype
+);
+
+const toMimeType = (format) => `image/${format === 'jpg' ? 'jpeg' : format}`;
+
+/**
+ * DAM Image Component
+ * Responsive <picture> with a srcset per format, lazy loading and a
+ * blurred low-quality placeholder until the image has loaded.
+ * `fallback` is shown when the image fails: an image URL or any node.
+ * `transform` adds further transform options or names a preset.
+ */
+export function DAMImage({
+  fileId,
+  alt = '',
+  widths = DEFAULT_IMAGE_WIDTHS,
+  sizes = '100vw',
+  fit,
+  transform = null,
+  formats = DEFAULT_IMAGE_FORMATS,
+  aspectRatio,
+  quality,
+  placeholder = true,
+  fallback = null,
+  loading = 'lazy',
+  className,
+  style,
+  onLoad,
+  onError,
+  ...imgProps
+}) {
+  const client = useDAMClient();
+  const containerRef = useRef(null);
+  const [status, setStatus] = useState('loading');
+  const baseTransform = resolveTransformOptions(transform, client.presets) || {};
+  const imageFit = fit || baseTransform.fit || 'cover';
+  const [visible, setVisible] = useState(() => (
+    loading !== 'lazy'
+    || supportsNativeLazyLoading()
+    || typeof IntersectionObserver === 'undefined'
+  ));
+
+  const transformFor = (width, format) => ({
+    ...baseTransform,
+    width,
+    height: aspectRatio ? Math.round(width / aspectRatio) : undefined,
+    fit: imageFit,
+    format,
+    quality: quality ?? baseTransform.quality,
+  });
+
+  const transformList = [];
+  formats.forEach(format => {
+    widths.forEach(width => transformList.push(transformFor(width, format)));
+  });
+  if (placeholder) {
+    transformList.push({ ...transformFor(32, formats[formats.length - 1]), quality: 30, blur: 10 });
+  }
+
+  // URLs that can't be signed show the fallback, like an image that fails
+  const urls = useTransformUrls(fileId, transformList, () => setStatus('error'));
+  const placeholderUrl = placeholder ? urls[urls.length - 1] : null;
+  const sources = formats.map((format, formatIndex) => {
+    const formatUrls = urls.slice(formatIndex * widths.length, (formatIndex + 1) * widths.length);
+    return {
+      type: toMimeType(format),
+      src: formatUrls[formatUrls.length - 1],
+      srcSet: formatUrls.every(Boolean)
+        ? formatUrls.map((url, index) => `${url} ${widths[index]}w`).join(', ')
+        : null,
+    };
+  });
+  const imgSource = sources[sources.length - 1];
+
+  useEffect(() => {
+    setStatus('loading');
+  }, [fileId]);
+
+  useEffect(() => {
+    if (visible || !containerRef.current) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setVisible(true);
+        observer.disconnect();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, [visible]);
+
+  const handleLoad = (e) => {
+    setStatus('loaded');
+    if (onLoad) onLoad(e);
+  };
+
+  const handleError = (e) => {
+    setStatus('error');
+    if (onError) onError(e);
   };
+
+  if (!fileId || status === 'error') {
+    if (typeof fallback === 'string') {
+      return <img src={fallback} alt={alt} className={className} style={style} {...imgProps} />;
+    }
+    return fallback;
+  }
+
+  const showImage = visible && imgSource.src;
+
+  return (
+    <span
+      ref={containerRef}
+      className={className}
+      style={{
+        display: 'block',
+        position: 'relative',
+        overflow: 'hidden',
+        aspectRatio: aspectRatio ? String(aspectRatio) : undefined,
+        ...style,
+      }}
+    >
+      {placeholderUrl && status !== 'loaded' && (
+        <img
+          src={placeholderUrl}
+          alt=""
+          aria-hidden="true"
+          style={{
+            position: 'absolute',
+            inset: 0,
+            width: '100%',
+            height: '100%',
+            objectFit: imageFit === 'contain' ? 'contain' : 'cover',
+            filter: 'blur(12px)',
+            transform: 'scale(1.05)',
+          }}
+        />
+      )}
+      {showImage && (
+        <picture>
+          {sources.slice(0, -1).map(source => source.srcSet && (
+            <source key={source.type} type={source.type} srcSet={source.srcSet} sizes={sizes} />
+          ))}
+          <img
+            src={imgSource.src}
+            srcSet={imgSource.srcSet || undefined}
+            sizes={sizes}
+            alt={alt}
+            loading={loading}
+            decoding="async"
+            onLoad={handleLoad}
+            onError={handleError}
+            style={{
+              display: 'block',
+              width: '100%',
+              height: aspectRatio ? '100%' : 'auto',
+              objectFit: imageFit === 'contain' ? 'contain' : 'cover',
+              opacity: status === 'loaded' ? 1 : 0,
+              transition: 'opacity 0.3s',
+            }}
+            {...imgProps}
+          />
+        </picture>
+      )}
+    </span>
+  );
+}
+
+const DROPZONE_STATUS_LABELS = {
+  ready: 'Ready',
+  queued: 'Waiting',
+  uploading: 'Uploading',
+  done: 'Uploaded',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  rejected: 'Not allowed',
+};
+
+/**
+ * Drop area with a file picker, paste support and a list of queued files
+ * Takes every useDropzone option; pass a function as children to render
+ * the drop area and file list yourself.
+ */
+export function DAMDropzone({
+  children,
+  label = 'Drop files here, paste, or press Enter to browse',
+  activeLabel = 'Drop to upload',
+  showFiles = true,
+  className,
+  style,
+  ...options
+}) {
+  const dropzone = useDropzone(options);
+  const {
+    getRootProps,
+    getInputProps,
+    isDragActive,
+    items,
+    cancel,
+    retry,
+    remove,
+    error,
+  } = dropzone;
+
+  if (typeof children === 'function') {
+    return children(dropzone);
+  }
+
+  return (
+    <div className={className} style={style}>
+      <div
+        {...getRootProps({
+          'data-drag-active': isDragActive || undefined,
+          style: {
+            padding: '2rem',
+            border: `2px dashed ${isDragActive ? '#2563eb' : '#9ca3af'}`,
+            borderRadius: 8,
+            textAlign: 'center',
+            cursor: options.disabled ? 'not-allowed' : 'pointer',
+          },
+        })}
+      >
+        <input {...getInputProps()} />
+        {children || <p>{isDragActive ? activeLabel : label}</p>}
+      </div>
+
+      {error && <p role="alert">{error}</p>}
+
+      {showFiles && items.length > 0 && (
+        <ul aria-live="polite" style={{ listStyle: 'none', padding: 0 }}>
+          {items.map(item => (
+            <li
+              key={item.id}
+              data-status={item.status}
+              style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.5rem' }}
+            >
+              {item.preview
+                ? <img src={item.preview} alt="" width={40} height={40} style={{ objectFit: 'cover' }} />
+                : <span aria-hidden="true" style={{ width: 40, height: 40, background: '#e5e7eb' }} />}
+              <span style={{ flex: 1 }}>
+                {item.path ? `${item.path}/` : ''}{item.file.name}
+                {item.error && <small style={{ display: 'block', color: '#dc2626' }}>{item.error}</small>}
+              </span>
+              {item.status === 'uploading'
+                ? <progress value={item.progress} max="100" aria-label={`Uploading ${item.file.name}`} />
+                : <span>{DROPZONE_STATUS_LABELS[item.status]}</span>}
+              {['failed', 'cancelled'].includes(item.status) && (
+                <button type="button" onClick={() => retry(item.id)}>Retry</button>
+              )}
+              {['ready', 'queued', 'uploading'].includes(item.status)
+                ? <button type="button" onClick={() => cancel(item.id)}>Cancel</button>
+                : <button type="button" onClick={() => remove(item.id)}>Remove</button>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 }
 
 // ==================== EXPORTS ====================
 
 export default {
   DAMProvider,
+  DAMImage,
+  DAMDropzone,
   useDAMClient,
+  useDAMCache,
+  useDAMEvents,
   useFiles,
+  useInfiniteFiles,
+  useFileSearch,
   useFile,
   useFileUpload,
+  usePendingUploads,
+  useUploadQueue,
+  useDropzone,
   useFileOperations,
+  useBulkOperations,
+  useDownload,
   useFileUrl,
   useTestConnection,
+  useFolders,
+  useTags,
+  useCollections,
+  useDashboardStats,
 };
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * Offline Uploads - Keep uploads made without a connection until it returns
+ * Files are stored in IndexedDB together with their upload options, so
+ * pending uploads survive page reloads and can be replayed later.
+ */
+const DB_NAME = 'dam-offline-uploads';
+const STORE_NAME = 'uploads';
+
+// Only plain upload options can be stored; signals and callbacks can't be cloned
+const STORED_OPTIONS = ['folderId', 'metadata', 'tags', 'chunked', 'chunkSize', 'dedupe'];
+
+let databasePromise = null;
+let pendingUploadId = 0;
+const listeners = new Set();
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available; offline uploads cannot be stored'));
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow another attempt after a failed open, e.g. private browsing
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+async function runTransaction(mode, operation) {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+const notify = () => listeners.forEach(listener => listener());
+
+/**
+ * Check whether the browser reports having no connection
+ */
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Store a file to upload later.
+ * Resolves to the stored record: { id, file, name, type, size, options,
+ * status: 'pending', attempts, error, createdAt }.
+ */
+export async function savePendingUpload(file, options = {}) {
+  const storedOptions = {};
+  STORED_OPTIONS.forEach(key => {
+    if (options[key] !== undefined) storedOptions[key] = options[key];
+  });
+
+  const record = {
+    id: `pending-${Date.now()}-${++pendingUploadId}`,
+    file,
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    options: storedOptions,
+    status: 'pending',
+    attempts: 0,
+    error: null,
+    createdAt: new Date().toISOString(),
+  };
+
+  await runTransaction('readwrite', store => store.put(record));
+  notify();
+  return record;
+}
+
+/**
+ * List stored uploads, oldest first
+ */
+export async function listPendingUploads() {
+  const records = await runTransaction('readonly', store => store.getAll());
+  return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Merge changes into a stored upload
+ */
+export async function updatePendingUpload(id, changes) {
+  await runTransaction('readwrite', store => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, ...changes });
+    };
+    return request;
+  });
+  notify();
+}
+
+/**
+ * Remove a stored upload
+ */
+export async function deletePendingUpload(id) {
+  await runTransaction('readwrite', store => store.delete(id));
+  notify();
+}
+
+/**
+ * Listen for changes to the stored uploads; returns an unsubscribe function
+ */
+export function subscribePendingUploads(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
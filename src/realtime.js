@@ -0,0 +1,293 @@
+/**
+ * Realtime - Live file and folder change events for DAM hooks
+ * Reads Server-Sent Events through fetch, so the client's auth headers
+ * are sent, and falls back to a WebSocket when the server or browser
+ * can't stream them. Reconnects with backoff and resumes from the last
+ * event id.
+ */
+import { getRetryDelay } from './retry.js';
+import { AuthenticationError, NetworkError, createResponseError } from './errors.js';
+
+const DEFAULT_RECONNECT = {
+  baseDelay: 1000,
+  maxDelay: 30000,
+};
+
+// Responses that mean "no event stream here", worth trying the WebSocket
+const FALLBACK_STATUSES = [404, 405, 406, 501];
+
+// WebSocket close code the server uses for rejected credentials
+const AUTH_CLOSE_CODE = 4001;
+
+/**
+ * Parse complete events out of buffered SSE text.
+ * Calls onEvent({ type, data, id, retry }) for each and returns the
+ * incomplete remainder to prepend to the next chunk.
+ */
+export function parseEventStream(buffer, onEvent) {
+  const blocks = buffer.split(/\r\n\r\n|\n\n|\r\r/);
+  const rest = blocks.pop();
+
+  blocks.forEach(block => {
+    const event = { type: 'message', data: '', id: null, retry: null };
+    const data = [];
+
+    block.split(/\r\n|\n|\r/).forEach(line => {
+      if (!line || line.startsWith(':')) return;
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value.startsWith(' ')) value = value.slice(1);
+
+      if (field === 'event') event.type = value;
+      if (field === 'data') data.push(value);
+      if (field === 'id') event.id = value;
+      if (field === 'retry' && /^\d+$/.test(value)) event.retry = Number(value);
+    });
+
+    event.data = data.join('\n');
+    onEvent(event);
+  });
+
+  return rest;
+}
+
+/**
+ * Turn an SSE event into a DAM event { type, data, id }.
+ * Servers may also send everything as 'message' with the type in the JSON.
+ */
+function toDAMEvent(type, payload, id) {
+  let data = payload;
+  try {
+    data = JSON.parse(payload);
+  } catch {
+    // Not JSON, pass the text through
+  }
+
+  if (type === 'message' && data && typeof data === 'object' && data.type) {
+    return { type: data.type, data: data.data ?? null, id: id ?? data.id ?? null };
+  }
+  return { type, data, id };
+}
+
+/**
+ * Realtime channel shared by a DAMProvider
+ * Status is one of idle, connecting, open, reconnecting or closed.
+ */
+class RealtimeChannel {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.transport = options.transport || 'auto';
+    this.url = options.url || `${client.baseUrl}/public/events`;
+    this.socketUrl = options.socketUrl || this.url.replace(/^http/, 'ws');
+    this.reconnect = { ...DEFAULT_RECONNECT, ...options.reconnect };
+    this.useSocket = this.transport === 'websocket';
+    this.listeners = new Set();
+    this.statusListeners = new Set();
+    this.status = 'idle';
+    this.closed = true;
+    this.connection = null;
+    this.timer = null;
+    this.attempt = 0;
+    this.lastEventId = null;
+    this.serverRetry = null;
+  }
+
+  /**
+   * Listen for DAM events; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Listen for connection status changes; returns an unsubscribe function
+   */
+  onStatusChange(listener) {
+    this.statusListeners.add(listener);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.statusListeners.forEach(listener => listener(status));
+  }
+
+  emit(event) {
+    if (event.id != null) this.lastEventId = String(event.id);
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  connect() {
+    if (!this.closed) return;
+    this.closed = false;
+    this.attempt = 0;
+    this.open(false);
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.connection) this.connection.close();
+    this.connection = null;
+    this.setStatus('closed');
+  }
+
+  open(forceRefresh) {
+    this.setStatus(this.attempt ? 'reconnecting' : 'connecting');
+    this.connection = this.useSocket
+      ? this.openSocket(forceRefresh)
+      : this.openEventStream(forceRefresh);
+  }
+
+  opened() {
+    this.attempt = 0;
+    this.setStatus('open');
+  }
+
+  /**
+   * Schedule a reconnect after the connection dropped or failed
+   */
+  dropped(err) {
+    if (this.closed) return;
+    this.connection = null;
+
+    if (err && err.fallback && this.transport === 'auto' && !this.useSocket
+      && typeof WebSocket !== 'undefined') {
+      this.useSocket = true;
+      this.open(false);
+      return;
+    }
+
+    this.attempt += 1;
+    this.setStatus('reconnecting');
+
+    const policy = this.serverRetry
+      ? { ...this.reconnect, baseDelay: this.serverRetry }
+      : this.reconnect;
+    const forceRefresh = err instanceof AuthenticationError && err.status === 401;
+
+    this.timer = setTimeout(() => this.open(forceRefresh), getRetryDelay(null, this.attempt, policy));
+  }
+
+  openEventStream(forceRefresh) {
+    const controller = new AbortController();
+
+    const run = async () => {
+      const headers = {
+        Accept: 'text/event-stream',
+        ...(await this.client.getAuthHeaders(forceRefresh)),
+      };
+      if (this.lastEventId) headers['Last-Event-ID'] = this.lastEventId;
+
+      let response;
+      try {
+        response = await fetch(this.url, { headers, cache: 'no-store', signal: controller.signal });
+      } catch (err) {
+        throw new NetworkError('Realtime connection failed', { cause: err });
+      }
+
+      if (!response.ok) {
+        const err = createResponseError(response.status, null, {
+          statusText: response.statusText,
+          requestId: response.headers.get('X-Request-Id'),
+        });
+        err.fallback = FALLBACK_STATUSES.includes(response.status);
+        throw err;
+      }
+
+      if (!response.body || typeof response.body.getReader !== 'function') {
+        const err = new NetworkError('Streaming responses are not supported here');
+        err.fallback = true;
+        throw err;
+      }
+
+      this.opened();
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+
+        buffer = parseEventStream(buffer + decoder.decode(value, { stream: true }), (event) => {
+          if (event.retry != null) this.serverRetry = event.retry;
+          if (event.id != null) this.lastEventId = event.id;
+          if (event.data) this.emit(toDAMEvent(event.type, event.data, event.id));
+        });
+      }
+    };
+
+    run().then(
+      () => this.dropped(null),
+      (err) => {
+        if (!controller.signal.aborted) this.dropped(err);
+      }
+    );
+
+    return { close: () => controller.abort() };
+  }
+
+  openSocket(forceRefresh) {
+    let socket = null;
+    let stopped = false;
+
+    const run = async () => {
+      const authHeaders = await this.client.getAuthHeaders(forceRefresh);
+      if (stopped) return;
+
+      const url = new URL(this.socketUrl);
+      if (this.lastEventId) url.searchParams.set('last_event_id', this.lastEventId);
+
+      socket = new WebSocket(url.toString());
+
+      // Browsers can't set headers on a WebSocket, so credentials go in the first message
+      socket.onopen = () => {
+        if (stopped) return;
+        socket.send(JSON.stringify({ type: 'auth', headers: authHeaders }));
+        this.opened();
+      };
+
+      socket.onmessage = (message) => {
+        if (stopped) return;
+
+        let event;
+        try {
+          event = JSON.parse(message.data);
+        } catch {
+          return;
+        }
+        if (event && event.type) {
+          this.emit({ type: event.type, data: event.data ?? null, id: event.id ?? null });
+        }
+      };
+
+      socket.onclose = (closeEvent) => {
+        if (stopped) return;
+        stopped = true;
+        this.dropped(closeEvent.code === AUTH_CLOSE_CODE
+          ? new AuthenticationError('Realtime authentication failed', { status: 401 })
+          : new NetworkError('Realtime connection closed'));
+      };
+    };
+
+    run().catch((err) => {
+      if (!stopped) this.dropped(err);
+    });
+
+    return {
+      close: () => {
+        stopped = true;
+        if (socket) socket.close();
+      },
+    };
+  }
+}
+
+export default RealtimeChannel;
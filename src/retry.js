@@ -0,0 +1,104 @@
+/**
+ * Retry - Retry policy with exponential backoff for DAM requests
+ * GET/HEAD requests are retried by default; other methods only when
+ * the call asks for it with the `retry` option.
+ */
+import { AbortError, NetworkError } from './errors.js';
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 300,
+  maxDelay: 10000,
+  retryOn: [408, 429, 500, 502, 503, 504],
+  retryNetworkErrors: true,
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Work out the retry policy for one call.
+ * `override` may be false, true, a max attempt count or a partial policy.
+ */
+export function resolveRetryPolicy(basePolicy, override, method = 'GET') {
+  if (override === false) return null;
+
+  const base = basePolicy || DEFAULT_RETRY_POLICY;
+
+  if (override === true) return base;
+  if (typeof override === 'number') return { ...base, maxAttempts: override };
+  if (override && typeof override === 'object') return { ...base, ...override };
+
+  return basePolicy && IDEMPOTENT_METHODS.includes(method.toUpperCase()) ? basePolicy : null;
+}
+
+/**
+ * Check whether an error is worth another attempt
+ */
+export function isRetryable(err, policy) {
+  if (err instanceof AbortError) return false;
+  if (err instanceof NetworkError) return policy.retryNetworkErrors;
+  return Boolean(err && err.status && policy.retryOn.includes(err.status));
+}
+
+/**
+ * Check whether the server asked for a longer wait than the policy allows
+ */
+function exceedsMaxDelay(err, policy) {
+  return Boolean(err && err.retryAfter != null && err.retryAfter * 1000 > policy.maxDelay);
+}
+
+/**
+ * Delay before the next attempt in ms.
+ * Honours Retry-After up to `maxDelay`, otherwise exponential backoff
+ * with jitter.
+ */
+export function getRetryDelay(err, attempt, policy) {
+  if (err && err.retryAfter != null) {
+    return Math.min(policy.maxDelay, err.retryAfter * 1000);
+  }
+
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Wait for `ms`, rejecting early when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new AbortError('Request cancelled'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError('Request cancelled'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run `operation` until it succeeds or the policy gives up.
+ * When Retry-After is longer than `maxDelay` the error is thrown at once,
+ * so callers see e.g. the RateLimitError instead of waiting.
+ */
+export async function withRetry(operation, policy, signal) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (err) {
+      if (!policy || attempt >= policy.maxAttempts || !isRetryable(err, policy)
+        || exceedsMaxDelay(err, policy)) {
+        throw err;
+      }
+      await sleep(getRetryDelay(err, attempt, policy), signal);
+    }
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * DAM Server Helpers - Node-only utilities for your backend
+ * Keep secrets on the server: mint short-lived bearer tokens for the
+ * browser and sign expiring transform URLs.
+ */
+import { Buffer } from 'buffer';
+import { createHmac, timingSafeEqual } from 'crypto';
+import { ValidationError } from './errors.js';
+import {
+  buildTransformParams,
+  parseTransformParams,
+  normalizeTransformParams,
+  getTransformSigningPayload,
+} from './transforms.js';
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Mint a short-lived bearer token from an API key pair.
+ * The token is a HS256 JWT signed with the key secret; `kid` names the key.
+ * Returns { token, expiresAt } where expiresAt is a ms timestamp.
+ */
+export function createAccessToken({ keyId, keySecret, expiresIn = 300, claims = {} }) {
+  if (!keyId || !keySecret) {
+    throw new Error('createAccessToken requires keyId and keySecret');
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = { alg: 'HS256', typ: 'JWT', kid: keyId };
+  const payload = {
+    ...claims,
+    sub: keyId,
+    iat: issuedAt,
+    exp: issuedAt + expiresIn,
+  };
+
+  const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const signature = createHmac('sha256', keySecret).update(unsigned).digest('base64url');
+
+  return {
+    token: `${unsigned}.${signature}`,
+    expiresAt: payload.exp * 1000,
+  };
+}
+
+/**
+ * Sign one transform URL.
+ * `params` is either transform options ({ width, height, ... }) or the
+ * query string the client sends to `signUrls`. Query strings come from
+ * the browser, so they are read back into options and checked like
+ * options; only the rebuilt params are signed. Pass `allow(fileId,
+ * options)` to restrict what may be signed, e.g. to your presets'
+ * sizes; returning false throws a ValidationError.
+ * Returns { expires, signature } where expires is a unix timestamp in seconds.
+ */
+export function signTransform(fileId, params, { secret, expiresIn = 3600, allow }) {
+  if (!secret) {
+    throw new Error('signTransform requires a secret');
+  }
+
+  const transformOptions = typeof params === 'string' ? parseTransformParams(params) : params || {};
+  const normalized = normalizeTransformParams(buildTransformParams(transformOptions));
+
+  if (allow && !allow(fileId, transformOptions)) {
+    throw new ValidationError(`Transform not allowed for file ${fileId}`, { code: 'TRANSFORM_NOT_ALLOWED' });
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const signature = createHmac('sha256', secret)
+    .update(getTransformSigningPayload(fileId, normalized, expires))
+    .digest('hex');
+
+  return { expires, signature };
+}
+
+/**
+ * Sign a batch of `{ fileId, params }` requests sent by the client's
+ * `signUrls` config, returning signatures in the same order.
+ * Throws if any request has invalid or disallowed params.
+ */
+export function signTransformRequests(requests, options) {
+  return requests.map(({ fileId, params }) => signTransform(fileId, params, options));
+}
+
+/**
+ * Build a complete signed transform URL on the server
+ */
+export function createSignedFileUrl(apiUrl, fileId, transformOptions, options) {
+  const params = new URLSearchParams(normalizeTransformParams(buildTransformParams(transformOptions)));
+  const { expires, signature } = signTransform(fileId, transformOptions, options);
+
+  params.append('expires', expires);
+  params.append('signature', signature);
+  return `${apiUrl.replace(/\/$/, '')}/api/transform/${fileId}?${params.toString()}`;
+}
+
+/**
+ * Check a signed transform request, e.g. in the transform route
+ * Returns false for bad or expired signatures.
+ */
+export function verifyTransformSignature(fileId, query, { secret }) {
+  const params = new URLSearchParams(query);
+  const expires = Number(params.get('expires'));
+  const signature = params.get('signature') || '';
+
+  if (!expires || expires * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = createHmac('sha256', secret)
+    .update(getTransformSigningPayload(fileId, normalizeTransformParams(params), expires))
+    .digest('hex');
+
+  return signature.length === expected.length
+    && timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
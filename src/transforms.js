@@ -0,0 +1,251 @@
+/**
+ * Transforms - Build and normalize image transform parameters
+ * Shared by the browser client and the server signing helpers so both
+ * sign exactly the same parameter string.
+ */
+import { ValidationError } from './errors.js';
+
+const FIT_VALUES = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const FORMAT_VALUES = ['jpeg', 'jpg', 'png', 'webp', 'avif', 'gif'];
+const GRAVITY_VALUES = [
+  'center', 'north', 'northeast', 'east', 'southeast',
+  'south', 'southwest', 'west', 'northwest', 'entropy', 'attention',
+];
+const TRANSFORM_OPTIONS = [
+  'width', 'height', 'fit', 'format', 'quality', 'blur', 'grayscale', 'rotate',
+  'crop', 'gravity', 'focalPoint', 'flip', 'flop', 'sharpen', 'background',
+  'dpr', 'watermark',
+];
+
+const invalid = (message) => new ValidationError(message, { code: 'INVALID_TRANSFORM' });
+
+function checkNumber(name, value, min, max, integer = false) {
+  const number = Number(value);
+
+  if (typeof value === 'boolean' || value === '' || Number.isNaN(number)) {
+    throw invalid(`Transform option "${name}" must be a number, got ${JSON.stringify(value)}`);
+  }
+  if (integer && !Number.isInteger(number)) {
+    throw invalid(`Transform option "${name}" must be a whole number, got ${value}`);
+  }
+  if (number < min || number > max) {
+    throw invalid(`Transform option "${name}" must be between ${min} and ${max}, got ${value}`);
+  }
+  return number;
+}
+
+function checkOneOf(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw invalid(`Transform option "${name}" must be one of ${allowed.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+function checkColor(name, value) {
+  const hex = String(value).replace(/^#/, '');
+
+  if (!/^([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) {
+    throw invalid(`Transform option "${name}" must be a hex colour like #ffffff, got ${JSON.stringify(value)}`);
+  }
+  return hex.toLowerCase();
+}
+
+/**
+ * Resolve a preset name, or `{ preset, ...overrides }`, into plain
+ * transform options
+ */
+export function resolveTransformOptions(transformOptions, presets = {}) {
+  if (!transformOptions) return null;
+
+  const options = typeof transformOptions === 'string'
+    ? { preset: transformOptions }
+    : transformOptions;
+  const { preset, ...overrides } = options;
+
+  if (!preset) return overrides;
+
+  if (!presets[preset]) {
+    throw invalid(`Unknown transform preset "${preset}"`);
+  }
+  return { ...presets[preset], ...overrides };
+}
+
+/**
+ * Build transform query params from transform options
+ * Throws a ValidationError for unknown options and out-of-range values.
+ */
+export function buildTransformParams(transformOptions) {
+  const params = new URLSearchParams();
+  if (!transformOptions) return params;
+
+  const t = transformOptions;
+
+  Object.keys(t).forEach(name => {
+    if (t[name] !== undefined && !TRANSFORM_OPTIONS.includes(name)) {
+      throw invalid(`Unknown transform option "${name}"`);
+    }
+  });
+
+  if (t.width != null) params.append('w', checkNumber('width', t.width, 1, 8192, true));
+  if (t.height != null) params.append('h', checkNumber('height', t.height, 1, 8192, true));
+  if (t.fit) params.append('fit', checkOneOf('fit', t.fit, FIT_VALUES));
+  if (t.format) params.append('format', checkOneOf('format', t.format, FORMAT_VALUES));
+  if (t.quality != null) params.append('quality', checkNumber('quality', t.quality, 1, 100, true));
+  if (t.blur) params.append('blur', checkNumber('blur', t.blur, 0.3, 1000));
+  if (t.grayscale) params.append('grayscale', 'true');
+  if (t.rotate) params.append('rotate', checkNumber('rotate', t.rotate, -360, 360));
+
+  if (t.crop) {
+    const { x = 0, y = 0, width, height } = t.crop;
+    params.append('crop', [
+      checkNumber('crop.x', x, 0, 100000, true),
+      checkNumber('crop.y', y, 0, 100000, true),
+      checkNumber('crop.width', width, 1, 100000, true),
+      checkNumber('crop.height', height, 1, 100000, true),
+    ].join(','));
+  }
+
+  if (t.gravity || t.focalPoint) {
+    if (t.fit && t.fit !== 'cover') {
+      throw invalid('Transform options "gravity" and "focalPoint" only apply with fit: \'cover\'');
+    }
+    if (t.gravity && t.focalPoint) {
+      throw invalid('Transform options "gravity" and "focalPoint" cannot be used together');
+    }
+  }
+  if (t.gravity) params.append('gravity', checkOneOf('gravity', t.gravity, GRAVITY_VALUES));
+  if (t.focalPoint) {
+    params.append('fp', [
+      checkNumber('focalPoint.x', t.focalPoint.x, 0, 1),
+      checkNumber('focalPoint.y', t.focalPoint.y, 0, 1),
+    ].join(','));
+  }
+
+  if (t.flip) params.append('flip', 'true');
+  if (t.flop) params.append('flop', 'true');
+  if (t.sharpen) {
+    params.append('sharpen', t.sharpen === true ? 'true' : checkNumber('sharpen', t.sharpen, 0.01, 10));
+  }
+  if (t.background) params.append('bg', checkColor('background', t.background));
+  if (t.dpr != null) params.append('dpr', checkNumber('dpr', t.dpr, 1, 4));
+
+  if (t.watermark) {
+    const watermark = typeof t.watermark === 'object' ? t.watermark : { fileId: t.watermark };
+    if (!watermark.fileId) {
+      throw invalid('Transform option "watermark" requires a fileId');
+    }
+    params.append('wm', watermark.fileId);
+    if (watermark.position) params.append('wm_pos', checkOneOf('watermark.position', watermark.position, GRAVITY_VALUES));
+    if (watermark.opacity != null) params.append('wm_opacity', checkNumber('watermark.opacity', watermark.opacity, 0, 1));
+    if (watermark.scale != null) params.append('wm_scale', checkNumber('watermark.scale', watermark.scale, 0.01, 1));
+    if (watermark.margin != null) params.append('wm_margin', checkNumber('watermark.margin', watermark.margin, 0, 1000, true));
+  }
+
+  return params;
+}
+
+// Query params that carry a single transform option: [option, is numeric]
+const PARAM_OPTIONS = {
+  w: ['width', true],
+  h: ['height', true],
+  fit: ['fit', false],
+  format: ['format', false],
+  quality: ['quality', true],
+  blur: ['blur', true],
+  rotate: ['rotate', true],
+  gravity: ['gravity', false],
+  bg: ['background', false],
+  dpr: ['dpr', true],
+};
+const FLAG_PARAMS = { grayscale: 'grayscale', flip: 'flip', flop: 'flop' };
+const WATERMARK_PARAMS = {
+  wm_pos: ['position', false],
+  wm_opacity: ['opacity', true],
+  wm_scale: ['scale', true],
+  wm_margin: ['margin', true],
+};
+
+function readNumber(name, value) {
+  const number = Number(value);
+  if (value.trim() === '' || Number.isNaN(number)) {
+    throw invalid(`Transform param "${name}" must be a number, got ${JSON.stringify(value)}`);
+  }
+  return number;
+}
+
+function readNumbers(name, value, keys) {
+  const parts = value.split(',');
+  if (parts.length !== keys.length) {
+    throw invalid(`Transform param "${name}" must have ${keys.length} comma-separated values, got ${JSON.stringify(value)}`);
+  }
+  return Object.fromEntries(keys.map((key, index) => [key, readNumber(name, parts[index])]));
+}
+
+/**
+ * Read a transform query string back into transform options.
+ * Only the params buildTransformParams writes are accepted, once each;
+ * ranges and allowed values are checked when the options are built again.
+ */
+export function parseTransformParams(params) {
+  const options = {};
+  const seen = new Set();
+  let watermark = null;
+
+  new URLSearchParams(params).forEach((value, name) => {
+    if (name === 'expires' || name === 'signature') return;
+    if (seen.has(name)) {
+      throw invalid(`Transform param "${name}" is repeated`);
+    }
+    seen.add(name);
+
+    if (PARAM_OPTIONS[name]) {
+      const [option, numeric] = PARAM_OPTIONS[name];
+      options[option] = numeric ? readNumber(name, value) : value;
+    } else if (FLAG_PARAMS[name]) {
+      if (value !== 'true') {
+        throw invalid(`Transform param "${name}" must be true, got ${JSON.stringify(value)}`);
+      }
+      options[FLAG_PARAMS[name]] = true;
+    } else if (name === 'sharpen') {
+      options.sharpen = value === 'true' ? true : readNumber(name, value);
+    } else if (name === 'crop') {
+      options.crop = readNumbers(name, value, ['x', 'y', 'width', 'height']);
+    } else if (name === 'fp') {
+      options.focalPoint = readNumbers(name, value, ['x', 'y']);
+    } else if (name === 'wm') {
+      watermark = { ...watermark, fileId: value };
+    } else if (WATERMARK_PARAMS[name]) {
+      const [option, numeric] = WATERMARK_PARAMS[name];
+      watermark = { ...watermark, [option]: numeric ? readNumber(name, value) : value };
+    } else {
+      throw invalid(`Unknown transform param "${name}"`);
+    }
+  });
+
+  if (watermark) options.watermark = watermark;
+  return options;
+}
+
+/**
+ * Normalize transform params into a stable, sorted query string.
+ * Signature params (expires, signature) are left out.
+ */
+export function normalizeTransformParams(params) {
+  const entries = [];
+
+  new URLSearchParams(params).forEach((value, name) => {
+    if (name !== 'expires' && name !== 'signature') {
+      entries.push([name, value]);
+    }
+  });
+
+  entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return new URLSearchParams(entries).toString();
+}
+
+/**
+ * String covered by a transform URL signature
+ */
+export function getTransformSigningPayload(fileId, normalizedParams, expires) {
+  return `${fileId}\n${normalizedParams}\n${expires}`;
+}
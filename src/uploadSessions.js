@@ -0,0 +1,64 @@
+/**
+ * Upload Sessions - Persist chunked upload progress across page reloads
+ * Sessions are keyed by a fingerprint of the file and its target folder.
+ */
+const STORAGE_PREFIX = 'dam-upload:';
+
+function getStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a stable fingerprint for a file upload
+ */
+export function getUploadFingerprint(file, options = {}) {
+  return [
+    file.name,
+    file.size,
+    file.lastModified || 0,
+    options.folderId || 'root',
+  ].join(':');
+}
+
+/**
+ * Load a saved upload session
+ */
+export function loadUploadSession(fingerprint) {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  try {
+    const value = storage.getItem(STORAGE_PREFIX + fingerprint);
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save an upload session
+ */
+export function saveUploadSession(fingerprint, session) {
+  const storage = getStorage();
+  if (!storage) return;
+
+  try {
+    storage.setItem(STORAGE_PREFIX + fingerprint, JSON.stringify(session));
+  } catch {
+    // Storage full or unavailable, upload just won't be resumable
+  }
+}
+
+/**
+ * Remove a saved upload session
+ */
+export function clearUploadSession(fingerprint) {
+  const storage = getStorage();
+  if (!storage) return;
+
+  storage.removeItem(STORAGE_PREFIX + fingerprint);
+}
@@ -0,0 +1,326 @@
+/**
+ * Upload Validation - Check files against upload rules before sending
+ * File types are detected from the file's magic bytes, not just the
+ * browser-reported `file.type`.
+ */
+import { ValidationError } from './errors.js';
+
+const SIGNATURES = [
+  { type: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/bmp', bytes: [0x42, 0x4D] },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2A, 0x00] },
+  { type: 'image/tiff', bytes: [0x4D, 0x4D, 0x00, 0x2A] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { type: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { type: 'video/webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+  { type: 'audio/ogg', bytes: [0x4F, 0x67, 0x67, 0x53] },
+  { type: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { type: 'audio/flac', bytes: [0x66, 0x4C, 0x61, 0x43] },
+];
+
+const FTYP_BRANDS = {
+  avif: 'image/avif',
+  avis: 'image/avif',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heif',
+  qt: 'video/quicktime',
+  M4A: 'audio/mp4',
+};
+
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  heic: 'image/heic',
+  bmp: 'image/bmp',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+};
+
+// Non-standard names browsers report for types detected under another name
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png',
+  'image/heif': 'image/heic',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/x-flac': 'audio/flac',
+  'audio/x-m4a': 'audio/mp4',
+};
+
+// Types sniffMimeType can recognise; claims of these must be backed by the content
+const SIGNED_TYPES = new Set([
+  ...SIGNATURES.map(signature => signature.type),
+  ...Object.values(FTYP_BRANDS),
+  'image/webp', 'audio/wav', 'video/x-msvideo', 'video/mp4',
+].map(type => TYPE_ALIASES[type] || type));
+
+const normalizeType = type => {
+  const lower = (type || '').toLowerCase();
+  return TYPE_ALIASES[lower] || lower;
+};
+
+const startsWith = (bytes, signature, offset = 0) => (
+  signature.every((byte, index) => bytes[offset + index] === byte)
+);
+
+const ascii = (bytes, start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+/**
+ * Detect a file's MIME type from its first bytes.
+ * Returns null when the content is not a recognised binary format.
+ */
+export async function sniffMimeType(file) {
+  const bytes = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+
+  if (ascii(bytes, 0, 4) === 'RIFF') {
+    const format = ascii(bytes, 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'AVI ') return 'video/x-msvideo';
+  }
+
+  if (ascii(bytes, 4, 8) === 'ftyp') {
+    const brand = ascii(bytes, 8, 12).trim();
+    return FTYP_BRANDS[brand] || 'video/mp4';
+  }
+
+  const match = SIGNATURES.find(signature => startsWith(bytes, signature.bytes));
+  if (match) return match.type;
+
+  // MPEG audio frame sync, for MP3s without an ID3 tag
+  if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0 && (bytes[1] & 0x06) !== 0) return 'audio/mpeg';
+  return null;
+}
+
+function getExtension(name) {
+  const match = /\.([^./]+)$/.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+function matchesMimePattern(type, pattern) {
+  if (!type) return false;
+  if (pattern === '*/*' || pattern === '*') return true;
+  if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1));
+  return type === pattern;
+}
+
+/**
+ * The type or extension a file claims that its content should prove.
+ * Returns null when nothing it claims has a known signature.
+ */
+function getSignedClaim(file) {
+  const claimedType = normalizeType(file.type);
+  if (SIGNED_TYPES.has(claimedType)) return claimedType;
+
+  const extensionType = EXTENSION_TYPES[getExtension(file.name)];
+  return SIGNED_TYPES.has(extensionType) ? extensionType : null;
+}
+
+/**
+ * Check a file against `accept` entries such as 'image/*', 'application/pdf' or '.svg'
+ * Content the sniffer can't recognise is only trusted for types without a
+ * signature, so a renamed executable or text file can't pass as an image.
+ */
+function isAccepted(file, detectedType, accept) {
+  if (!detectedType && getSignedClaim(file)) return false;
+
+  const effectiveType = detectedType || normalizeType(file.type);
+  const extension = getExtension(file.name);
+
+  return accept.some((entry) => {
+    const rule = entry.trim().toLowerCase();
+
+    if (rule.startsWith('.')) {
+      if (extension !== rule.slice(1)) return false;
+      // A known extension must also match the content, so a renamed file is caught
+      const expected = EXTENSION_TYPES[extension];
+      return !SIGNED_TYPES.has(expected) || expected === detectedType;
+    }
+
+    return matchesMimePattern(effectiveType, rule);
+  });
+}
+
+async function getImageDimensions(file) {
+  if (typeof createImageBitmap !== 'undefined') {
+    const bitmap = await createImageBitmap(file);
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return size;
+  }
+
+  if (typeof Image !== 'undefined' && typeof URL !== 'undefined') {
+    const url = URL.createObjectURL(file);
+    try {
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+      return { width: image.naturalWidth, height: image.naturalHeight };
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  return null;
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+/**
+ * Check one file against upload rules.
+ * Returns a list of { code, message } reasons; empty when the file passes.
+ */
+export async function validateFile(file, rules = {}) {
+  const reasons = [];
+  const { accept, minSize, maxSize, minWidth, maxWidth, minHeight, maxHeight } = rules;
+
+  if (minSize != null && file.size < minSize) {
+    reasons.push({
+      code: 'file-too-small',
+      message: `${file.name} is ${formatBytes(file.size)}, smaller than the minimum of ${formatBytes(minSize)}`,
+      limit: minSize,
+      actual: file.size,
+    });
+  }
+
+  if (maxSize != null && file.size > maxSize) {
+    reasons.push({
+      code: 'file-too-large',
+      message: `${file.name} is ${formatBytes(file.size)}, larger than the maximum of ${formatBytes(maxSize)}`,
+      limit: maxSize,
+      actual: file.size,
+    });
+  }
+
+  const checkDimensions = [minWidth, maxWidth, minHeight, maxHeight].some(limit => limit != null);
+  const detectedType = accept || checkDimensions ? await sniffMimeType(file) : null;
+
+  if (accept && accept.length) {
+    const acceptList = Array.isArray(accept) ? accept : accept.split(',');
+
+    if (!isAccepted(file, detectedType, acceptList)) {
+      const claim = getSignedClaim(file) || normalizeType(file.type);
+      const mismatch = claim && detectedType !== claim && (detectedType || SIGNED_TYPES.has(claim));
+      reasons.push({
+        code: mismatch ? 'type-mismatch' : 'invalid-type',
+        message: mismatch
+          ? `${file.name} claims to be ${claim} but its content is ${detectedType || 'not recognised'}`
+          : `${file.name} (${detectedType || file.type || 'unknown type'}) is not an accepted file type`,
+        accept: acceptList,
+        actual: detectedType || file.type || null,
+      });
+    }
+  }
+
+  const isImage = (detectedType || file.type || '').startsWith('image/');
+
+  if (checkDimensions && isImage) {
+    let size = null;
+    try {
+      size = await getImageDimensions(file);
+    } catch {
+      reasons.push({ code: 'unreadable-image', message: `${file.name} could not be read as an image` });
+    }
+
+    if (size) {
+      const checks = [
+        ['width', 'min', minWidth, size.width < minWidth],
+        ['width', 'max', maxWidth, size.width > maxWidth],
+        ['height', 'min', minHeight, size.height < minHeight],
+        ['height', 'max', maxHeight, size.height > maxHeight],
+      ];
+
+      checks.forEach(([dimension, bound, limit, failed]) => {
+        if (limit == null || !failed) return;
+        reasons.push({
+          code: bound === 'min' ? 'image-too-small' : 'image-too-large',
+          message: `${file.name} is ${size[dimension]}px ${dimension === 'width' ? 'wide' : 'high'}, ${bound === 'min' ? 'below the minimum' : 'above the maximum'} of ${limit}px`,
+          dimension,
+          limit,
+          actual: size[dimension],
+        });
+      });
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Check a batch of files against upload rules.
+ * `options.existing` counts files already on their way (e.g. still
+ * queued) against maxFiles. Resolves to { valid, rejected } where
+ * rejected is [{ file, reasons }].
+ */
+export async function validateFiles(files, rules = {}, options = {}) {
+  const { existing = 0 } = options;
+  const list = Array.from(files);
+  const valid = [];
+  const rejected = [];
+
+  for (const [index, file] of list.entries()) {
+    const reasons = await validateFile(file, rules);
+
+    if (rules.maxFiles != null && existing + index >= rules.maxFiles) {
+      reasons.push({
+        code: 'too-many-files',
+        message: `Only ${rules.maxFiles} file${rules.maxFiles === 1 ? '' : 's'} can be uploaded at once`,
+        limit: rules.maxFiles,
+        actual: existing + list.length,
+      });
+    }
+
+    if (reasons.length) {
+      rejected.push({ file, reasons });
+    } else {
+      valid.push(file);
+    }
+  }
+
+  return { valid, rejected };
+}
+
+/**
+ * Error thrown when files fail upload rules; `rejected` holds the
+ * per-file reasons from validateFiles
+ */
+export function createUploadValidationError(rejected) {
+  const message = rejected.length === 1
+    ? rejected[0].reasons.map(reason => reason.message).join('; ')
+    : `${rejected.length} files failed upload validation`;
+  const error = new ValidationError(message, {
+    code: 'UPLOAD_VALIDATION_FAILED',
+    body: { rejected: rejected.map(({ file, reasons }) => ({ name: file.name, reasons })) },
+  });
+  error.rejected = rejected;
+  return error;
+}
@@ -0,0 +1,199 @@
+/**
+ * Zip Stream - Build a ZIP archive as a stream
+ * Entries are read one after another and stored uncompressed (most
+ * assets are compressed already), so memory use stays at about one
+ * chunk whatever the archive size. Archives are limited to 4 GB and
+ * 65535 entries, since ZIP64 is not written.
+ */
+const ZIP_LIMIT = 0xFFFFFFFF;
+const MAX_ENTRIES = 0xFFFF;
+
+// Bit 3: sizes and CRC follow the data; bit 11: names are UTF-8
+const ENTRY_FLAGS = 0x0808;
+const ZIP_VERSION = 20;
+
+const CRC_TABLE = new Uint32Array(256).map((value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+function updateCrc(crc, bytes) {
+  let value = crc;
+  for (let i = 0; i < bytes.length; i++) {
+    value = CRC_TABLE[(value ^ bytes[i]) & 0xFF] ^ (value >>> 8);
+  }
+  return value;
+}
+
+// MS-DOS time and date as stored in ZIP headers, in local time
+function toDosDateTime(timestamp) {
+  const date = new Date(timestamp || Date.now());
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+function localHeader(entry) {
+  const bytes = new Uint8Array(30 + entry.name.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, 0x04034B50, true);
+  view.setUint16(4, ZIP_VERSION, true);
+  view.setUint16(6, ENTRY_FLAGS, true);
+  view.setUint16(8, 0, true);
+  view.setUint16(10, entry.time, true);
+  view.setUint16(12, entry.date, true);
+  // CRC and sizes are left at 0 and written in the data descriptor
+  view.setUint16(26, entry.name.length, true);
+  bytes.set(entry.name, 30);
+  return bytes;
+}
+
+function dataDescriptor(entry) {
+  const bytes = new Uint8Array(16);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, 0x08074B50, true);
+  view.setUint32(4, entry.crc, true);
+  view.setUint32(8, entry.size, true);
+  view.setUint32(12, entry.size, true);
+  return bytes;
+}
+
+function centralHeader(entry) {
+  const bytes = new Uint8Array(46 + entry.name.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, 0x02014B50, true);
+  view.setUint16(4, ZIP_VERSION, true);
+  view.setUint16(6, ZIP_VERSION, true);
+  view.setUint16(8, ENTRY_FLAGS, true);
+  view.setUint16(10, 0, true);
+  view.setUint16(12, entry.time, true);
+  view.setUint16(14, entry.date, true);
+  view.setUint32(16, entry.crc, true);
+  view.setUint32(20, entry.size, true);
+  view.setUint32(24, entry.size, true);
+  view.setUint16(28, entry.name.length, true);
+  view.setUint32(42, entry.offset, true);
+  bytes.set(entry.name, 46);
+  return bytes;
+}
+
+function endOfCentralDirectory(count, size, offset) {
+  const bytes = new Uint8Array(22);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, 0x06054B50, true);
+  view.setUint16(8, count, true);
+  view.setUint16(10, count, true);
+  view.setUint32(12, size, true);
+  view.setUint32(16, offset, true);
+  return bytes;
+}
+
+/**
+ * Make entry names safe and unique: 'a.png' twice becomes 'a.png' and 'a (1).png'
+ */
+function uniqueName(name, used) {
+  const clean = String(name || 'file')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/') || 'file';
+
+  let candidate = clean;
+  const match = /^(.*?)(\.[^./]*)?$/.exec(clean);
+  for (let copy = 1; used.has(candidate.toLowerCase()); copy++) {
+    candidate = `${match[1]} (${copy})${match[2] || ''}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+async function* zipChunks(entries) {
+  const encoder = new TextEncoder();
+  const written = [];
+  const used = new Set();
+  let offset = 0;
+
+  for await (const source of entries) {
+    if (written.length === MAX_ENTRIES) {
+      throw new Error(`ZIP archives can hold at most ${MAX_ENTRIES} files`);
+    }
+
+    const entry = {
+      name: encoder.encode(uniqueName(source.name, used)),
+      ...toDosDateTime(source.lastModified),
+      crc: 0xFFFFFFFF,
+      size: 0,
+      offset,
+    };
+
+    const header = localHeader(entry);
+    yield header;
+
+    const stream = typeof source.data.getReader === 'function' ? source.data : source.data.stream();
+    const reader = stream.getReader();
+    let finished = false;
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        entry.crc = updateCrc(entry.crc, value);
+        entry.size += value.length;
+        if (offset + header.length + entry.size > ZIP_LIMIT) {
+          throw new Error('ZIP archives over 4 GB are not supported');
+        }
+        yield value;
+      }
+      finished = true;
+    } finally {
+      // Stop the download when the archive is cancelled or fails
+      if (!finished) await reader.cancel().catch(() => {});
+    }
+
+    entry.crc = (entry.crc ^ 0xFFFFFFFF) >>> 0;
+    yield dataDescriptor(entry);
+    written.push(entry);
+    offset += header.length + entry.size + 16;
+  }
+
+  let directorySize = 0;
+  for (const entry of written) {
+    const header = centralHeader(entry);
+    directorySize += header.length;
+    yield header;
+  }
+
+  if (offset + directorySize > ZIP_LIMIT) {
+    throw new Error('ZIP archives over 4 GB are not supported');
+  }
+  yield endOfCentralDirectory(written.length, directorySize, offset);
+}
+
+/**
+ * Create a ReadableStream of a ZIP archive.
+ * `entries` is an iterable or async iterable of { name, data,
+ * lastModified } where data is a ReadableStream or Blob; the next entry
+ * is only requested once the previous one has been read.
+ */
+export function createZipStream(entries) {
+  const chunks = zipChunks(entries);
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await chunks.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel() {
+      return chunks.return();
+    },
+  });
+}